@@ -0,0 +1,45 @@
+/* Zenhydratation — service worker des rappels (build web).
+ *
+ * Il ne planifie rien : aucun navigateur ne livre les Notification Triggers, et un setTimeout meurt avec le worker
+ * (arrêté par le navigateur peu après la fermeture des onglets). C'est la page, tant qu'un onglet reste ouvert,
+ * qui demande l'affichage d'un rappel échu ({ type: "show", reminder: { kind, tag, at, title, body, actions } }) ;
+ * le worker affiche la notification et relaie les clics.
+ */
+
+self.addEventListener("install", () => self.skipWaiting());
+self.addEventListener("activate", (event) => event.waitUntil(self.clients.claim()));
+
+function show(r) {
+  return self.registration.showNotification(r.title, {
+    body: r.body,
+    tag: r.tag,
+    actions: Array.isArray(r.actions) ? r.actions : [],
+    data: { kind: r.kind, at: r.at }
+  });
+}
+
+self.addEventListener("message", (event) => {
+  const msg = event.data || {};
+  if (msg.type === "show" && msg.reminder) event.waitUntil(show(msg.reminder));
+});
+
+// Clic sur un rappel ou sur une action : transmis à l'app ouverte, sinon l'app est ouverte avec l'action en paramètre
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const { kind, at } = event.notification.data || {};
+  const action = event.action || "open";
+  event.waitUntil(
+    (async () => {
+      const all = await self.clients.matchAll({ type: "window", includeUncontrolled: true });
+      const client = all.find((c) => "focus" in c);
+      if (client) {
+        client.postMessage({ type: "reminder-action", kind, at, action });
+        // les actions se traitent sans quitter ce qu'on fait ; un clic simple ramène l'app
+        if (action === "open") return client.focus();
+        return undefined;
+      }
+      const query = kind ? `?reminder=${encodeURIComponent(kind)}&at=${at || ""}&action=${encodeURIComponent(action)}` : "";
+      return self.clients.openWindow(`./${query}`);
+    })()
+  );
+});
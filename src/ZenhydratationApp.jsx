@@ -13,7 +13,14 @@ import {
   Check,
   Sun,
   Moon,
-  ShoppingBag
+  ShoppingBag,
+  ChevronLeft,
+  ChevronRight,
+  ChevronUp,
+  ChevronDown,
+  Pencil,
+  Trash2,
+  Undo2
 } from "lucide-react";
 import {
   ResponsiveContainer,
@@ -26,37 +33,226 @@ import {
 } from "recharts";
 
 import DealsPage from "./DealsPage";
+import { STORAGE_KEYS, getItem, setItem, describeStorageError } from "./lib/storage";
+import { runMigrations, acknowledgeMigrationFailure } from "./lib/migrations";
+import {
+  BackupError,
+  buildBackup,
+  historyToCsv,
+  backupFileName,
+  downloadFile,
+  parseBackupFile,
+  previewImport,
+  applyImport
+} from "./lib/backup";
+import {
+  startTimers,
+  isTimersPaused,
+  remainingSec,
+  pendingWorkSec,
+  tickTimers,
+  pauseTimers,
+  pauseForIdle,
+  resumeTimers,
+  stopWorkClock,
+  startWorkClock,
+  resetAfterAbsence,
+  capTimer,
+  restartTimer,
+  sanitizeTimers
+} from "./lib/timers";
+import { IDLE_MINUTE_OPTIONS, DEFAULT_IDLE, sanitizeIdle, idleThresholdMinutes, awaySince } from "./lib/idle";
+import {
+  EXERCISE_CATEGORIES,
+  CATEGORY_LABELS,
+  DURATION_MIN_SEC,
+  DURATION_MAX_SEC,
+  IMAGE_MAX_BYTES,
+  IMAGES_TOTAL_MAX_BYTES,
+  MAX_EXERCISES_PER_CATEGORY,
+  defaultCatalog,
+  sanitizeCatalog,
+  validateExercise,
+  activeExercises,
+  exerciseLabels,
+  addExercise,
+  updateExercise,
+  setExerciseEnabled,
+  moveExercise,
+  removeExercise,
+  resetCategory,
+  isStoredImage,
+  imagesBytes,
+  sanitizeImages,
+  setStoredImage,
+  pruneImages,
+  extractImages,
+  withImages
+} from "./lib/exercises";
+import {
+  MAX_ROUTINES,
+  MAX_STEPS,
+  MAX_REPEATS,
+  MAX_REST_SEC,
+  REST_STEP_ID,
+  EMPTY_ROUTINES,
+  validateRoutine,
+  sanitizeRoutines,
+  buildRoutineQueue,
+  routineDurationSec,
+  routineLabels,
+  saveRoutine,
+  deleteRoutine,
+  sanitizeRoutineCounts
+} from "./lib/routines";
+import {
+  FOCUS_PHASE_LABELS,
+  DEFAULT_FOCUS,
+  sanitizeFocus,
+  startFocus,
+  focusRemainingSec,
+  isBreak,
+  advanceFocus,
+  skipFocusPhase,
+  pauseFocus,
+  resumeFocus,
+  deferToBreak,
+  breakRoutineKind,
+  sanitizeFocusSession
+} from "./lib/focus";
+import {
+  PHASE_LABELS,
+  BREATHING_PATTERNS,
+  CUSTOM_PATTERN_ID,
+  PHASE_MAX_SEC,
+  PHASE_TONES,
+  BREATHING_CUES,
+  DEFAULT_BREATHING,
+  sanitizeBreathing,
+  sanitizeCustomPattern,
+  patternById,
+  breathingAt
+} from "./lib/breathing";
+import {
+  WEEKDAYS,
+  MAX_QUIET_WINDOWS,
+  DEFAULT_SCHEDULE,
+  sanitizeSchedule,
+  isScheduledAt,
+  nextBoundary,
+  scheduledSecondsBetween
+} from "./lib/schedule";
+import { DEFAULT_WATER_REMINDERS, sanitizeWaterReminders, nextWaterReminder } from "./lib/hydrationReminders";
+import {
+  VOICE_CATEGORIES,
+  VOICE_CATEGORY_LABELS,
+  VOICE_RATES,
+  COUNTDOWN_OPTIONS,
+  DEFAULT_VOICE,
+  sanitizeVoice,
+  voiceEnabledFor,
+  stepAnnouncement,
+  countdownAnnouncement,
+  completionAnnouncement
+} from "./lib/voice";
+import { onUserInput, onAppVisibility, isAppVisible } from "./platform/activity";
+import { isSpeechAvailable, listVoices, onVoicesChanged, speak, stopSpeaking } from "./platform/speech";
+import { SOUND_EVENTS, SOUND_EVENT_LABELS, CUE_SETS, AMBIENT_SOUNDS, DEFAULT_SOUND, sanitizeSound, cueFor } from "./lib/sounds";
+import { playTone, playCue, setMasterVolume, startAmbient, stopAmbient } from "./platform/audio";
+import { haptic } from "./platform/haptics";
+import {
+  initNotifications,
+  ensureNotificationPermission,
+  getNotificationPermission,
+  cancelReminders,
+  scheduleNextReminders,
+  showReminderNow,
+  onReminderAction,
+  REMINDERS_WHEN_CLOSED
+} from "./platform/notifications";
+import {
+  loadHistory,
+  saveHistory,
+  loadArchive,
+  saveArchive,
+  splitHotDays,
+  archiveEntries,
+  mergeHistory,
+  entriesForMonth,
+  monthsWithData,
+  monthlyTotals
+} from "./lib/history";
+import {
+  BEVERAGES,
+  DEFAULT_CUSTOM_BEVERAGE,
+  sanitizeCustomBeverage,
+  resolveBeverage,
+  createDrink,
+  sanitizeDrinks,
+  effectiveMl,
+  totalMl,
+  totalEffectiveMl,
+  lastDrink,
+  removeDrink,
+  updateDrink,
+  drinksByHour,
+  formatClock,
+  withClock
+} from "./lib/drinks";
+import {
+  ACTIVITY_LEVELS,
+  DEFAULT_PROFILE,
+  GOAL_MIN_ML,
+  GOAL_MAX_ML,
+  SAFETY_CEILING_OPTIONS,
+  sanitizeSafetyCeiling,
+  HOT_DAY_BONUS_ML,
+  WORKOUT_DAY_BONUS_ML,
+  sanitizeProfile,
+  recommendGoalMl,
+  dayGoalMl,
+  setGoalForDay,
+  goalForDay,
+  sanitizeGoalVersions,
+  dayTargets,
+  isGoalMet
+} from "./lib/goal";
+import {
+  HABITS,
+  STREAK_RULES,
+  DEFAULT_STREAK_SETTINGS,
+  sanitizeStreakSettings,
+  computeAllStreaks,
+  mergeBestRecords,
+  sanitizeStreakRecords
+} from "./lib/streaks";
+import {
+  REMINDER_KINDS,
+  REMINDER_ACTIONS,
+  snoozeMinutes,
+  emptyReminderCounts,
+  sanitizeReminderCounts,
+  countReminderOutcome,
+  reminderTag
+} from "./lib/reminders";
+import {
+  OUTCOME_LABELS,
+  logReminderShown,
+  logReminderOutcome,
+  sanitizeReminderLog,
+  complianceByDay,
+  complianceByHour,
+  complianceTotals,
+  medianResponseSec
+} from "./lib/compliance";
 
 /* =========================
  * Config Bons Plans (JSON distant)
  * ========================= */
 const DEALS_REMOTE_URL = "https://zenhydratation.vercel.app/zenhydratation-deals.json";
 
-/* =========================
- * Storage
- * ========================= */
-const STORAGE_STATE_KEY = "zenhydratation_state_v5";
-const STORAGE_HISTORY_KEY = "zenhydratation_history_v5";
-
-function safeParse(json, fallback) {
-  try {
-    return JSON.parse(json);
-  } catch {
-    return fallback;
-  }
-}
-
-function readLS(key, fallback) {
-  if (typeof window === "undefined") return fallback;
-  const v = window.localStorage.getItem(key);
-  if (!v) return fallback;
-  return safeParse(v, fallback);
-}
-
-function writeLS(key, value) {
-  if (typeof window === "undefined") return;
-  window.localStorage.setItem(key, JSON.stringify(value));
-}
+// Au-delà de ce ratio de l'objectif, un jour est signalé dans les Stats
+const OVERHYDRATION_RATIO = 1.5;
 
 /* =========================
  * Date helpers
@@ -68,32 +264,35 @@ function dayKey(d = new Date()) {
   return `${y}-${m}-${day}`;
 }
 
-function addDays(d, delta) {
-  return new Date(d.getFullYear(), d.getMonth(), d.getDate() + delta);
-}
-
-function isActiveDay(entry) {
-  return (
-    (entry.waterMl ?? 0) > 0 ||
-    (entry.eyeBreaks ?? 0) > 0 ||
-    (entry.stretches ?? 0) > 0 ||
-    (entry.wakeRoutines ?? 0) > 0 ||
-    (entry.sleepRoutines ?? 0) > 0
-  );
+function emptyTodayStats(dk = dayKey()) {
+  return {
+    dayKey: dk,
+    waterMl: 0,
+    rawMl: 0,
+    drinks: [],
+    hotDay: false,
+    workoutDay: false,
+    eyeBreaks: 0,
+    stretches: 0,
+    wakeRoutines: 0,
+    sleepRoutines: 0,
+    workTime: 0,
+    details: { eye: {}, stretch: {}, wake: {}, sleep: {} },
+    // issues des rappels : { eye|stretch|water: { shown, done, snoozed, skipped } }
+    reminders: emptyReminderCounts(),
+    // un élément par rappel affiché : { kind, at, outcome, delaySec } (voir lib/compliance)
+    reminderLog: [],
+    // mode focus : phases de travail terminées et leur durée cumulée (s)
+    focusSessions: 0,
+    focusSec: 0,
+    // routines perso terminées : { [routineId]: n }
+    routines: {}
+  };
 }
 
-function computeStreak(history, today = new Date()) {
-  const map = new Map(history.map((e) => [e.dayKey, e]));
-  let streak = 0;
-  let cursor = new Date(today.getFullYear(), today.getMonth(), today.getDate());
-  while (true) {
-    const dk = dayKey(cursor);
-    const e = map.get(dk);
-    if (!e || !isActiveDay(e)) break;
-    streak += 1;
-    cursor = addDays(cursor, -1);
-  }
-  return streak;
+/** waterMl (effectif) et rawMl (brut) sont toujours dérivés du journal des prises */
+function withDrinks(stats, drinks) {
+  return { ...stats, drinks, waterMl: totalEffectiveMl(drinks), rawMl: totalMl(drinks) };
 }
 
 function clampInt(n, min, max) {
@@ -102,31 +301,6 @@ function clampInt(n, min, max) {
   return Math.min(max, Math.max(min, Math.floor(v)));
 }
 
-/* =========================
- * WebAudio (sound)
- * ========================= */
-function playTone({ freq = 740, durationMs = 180, gain = 0.03 } = {}) {
-  try {
-    const AudioCtx = window.AudioContext || window.webkitAudioContext;
-    if (!AudioCtx) return;
-    const ctx = new AudioCtx();
-    const o = ctx.createOscillator();
-    const g = ctx.createGain();
-    o.type = "sine";
-    o.frequency.value = freq;
-    g.gain.value = gain;
-    o.connect(g);
-    g.connect(ctx.destination);
-    o.start();
-    setTimeout(() => {
-      o.stop();
-      ctx.close();
-    }, durationMs);
-  } catch {
-    // ignore
-  }
-}
-
 /* =========================
  * Utils / UI helpers
  * ========================= */
@@ -324,121 +498,172 @@ export default function ZenhydratationApp() {
   const [eyeBreakInterval, setEyeBreakInterval] = useState(1200);
   const [stretchInterval, setStretchInterval] = useState(3600);
   const [soundEnabled, setSoundEnabled] = useState(true);
+  // jeu de sons, sons par événement, volume, ambiance du coucher (lib/sounds.js)
+  const [sound, setSound] = useState(DEFAULT_SOUND);
+  const [hapticsEnabled, setHapticsEnabled] = useState(true);
+  // planning hebdomadaire des rappels (lib/schedule.js) + relance manuelle hors planning jusqu'à (ms)
+  const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
+  const [scheduleOverrideUntil, setScheduleOverrideUntil] = useState(0);
+  // détection d'absence : { enabled, minutes, whenHidden } (lib/idle.js)
+  const [idle, setIdle] = useState(DEFAULT_IDLE);
+  // mode focus : durées des cycles + session en cours (lib/focus.js), null = pas de session
+  const [focusSettings, setFocusSettings] = useState(DEFAULT_FOCUS);
+  const [focus, setFocus] = useState(null);
+  const [focusOffer, setFocusOffer] = useState(null); // routine proposée à la pause : "eye"|"stretch"|null
+  // respiration guidée : { cue, custom } (lib/breathing.js)
+  const [breathing, setBreathing] = useState(DEFAULT_BREATHING);
+  // guidage vocal des routines : { categories, voiceURI, rate, countdownSec } (lib/voice.js)
+  const [voice, setVoice] = useState(DEFAULT_VOICE);
+  const [voices, setVoices] = useState([]); // voix installées, chargées en différé par certains navigateurs
 
   // hydration as ml
   const [cupMl, setCupMl] = useState(250);
   const [dailyGoalMl, setDailyGoalMl] = useState(2000);
-  const [waterMl, setWaterMl] = useState(0);
+  const [goalVersions, setGoalVersions] = useState([]); // [{ from: dayKey, goalMl }]
+  const [goalProfile, setGoalProfile] = useState(DEFAULT_PROFILE); // { weightKg, age, activity }
+  const [beverageId, setBeverageId] = useState("water");
+  const [customBeverage, setCustomBeverage] = useState(DEFAULT_CUSTOM_BEVERAGE);
+  // plafond de sécurité (volume brut), 0 = désactivé
+  const [safetyCeilingMl, setSafetyCeilingMl] = useState(0);
+  // rappels d'hydratation : { enabled, wakeTime, bedTime } + dernier rappel affiché (ms)
+  const [waterReminders, setWaterReminders] = useState(DEFAULT_WATER_REMINDERS);
+  const [lastWaterReminderAt, setLastWaterReminderAt] = useState(0);
+  const [waterSnoozeUntil, setWaterSnoozeUntil] = useState(0);
 
   // avatar + bubbles
   // "female" | "male" | "child_girl" | "child_boy"
   const [avatar, setAvatar] = useState("female");
   const [bubblesEnabled, setBubblesEnabled] = useState(true);
 
-  // timers
-  const [eyeBreakTimer, setEyeBreakTimer] = useState(1200);
-  const [stretchTimer, setStretchTimer] = useState(3600);
-  const [isPaused, setIsPaused] = useState(false);
+  // timers: absolute due timestamps (lib/timers.js), the countdowns are derived from `now`
+  const [timers, setTimers] = useState(() => startTimers(Date.now(), { eye: 1200, stretch: 3600 }));
+  const [now, setNow] = useState(() => Date.now());
+  const isPaused = isTimersPaused(timers);
+  const eyeBreakTimer = remainingSec(timers, "eye", now);
+  const stretchTimer = remainingSec(timers, "stretch", now);
 
   // modals
   const [showSettings, setShowSettings] = useState(false);
   const [showExercise, setShowExercise] = useState(null); // "eye"|"stretch"|"wake"|"sleep"|null
-  const [showNotif, setShowNotif] = useState(null); // "eye"|"stretch"|null
+  const [showNotif, setShowNotif] = useState(null); // "eye"|"stretch"|"water"|null
 
   // routine player
   const [activeRoutine, setActiveRoutine] = useState(null);
 
+  // bibliothèque d'exercices + éditeur (réglages)
+  const [exerciseCatalog, setExerciseCatalog] = useState(defaultCatalog);
+  // images importées { [exerciseId]: data URL }, sous leur propre clé (STORAGE_KEYS.images)
+  const [exerciseImages, setExerciseImages] = useState({});
+  const [exerciseTab, setExerciseTab] = useState("eye");
+  const [exerciseDraft, setExerciseDraft] = useState(null); // { id: string|null, name, desc, durationSec, image, breathing } | null
+  const [exerciseError, setExerciseError] = useState(null);
+
+  // routines composées (lib/routines.js) + éditeur
+  const [customRoutines, setCustomRoutines] = useState(EMPTY_ROUTINES);
+  const [routineDraft, setRoutineDraft] = useState(null); // { id: string|null, name, steps: [...] } | null
+  const [routineError, setRoutineError] = useState(null);
+
   // history & stats
-  const [history, setHistory] = useState([]);
-  const [streak, setStreak] = useState(0);
-  const [todayStats, setTodayStats] = useState({
-    dayKey: dayKey(),
-    waterMl: 0,
-    eyeBreaks: 0,
-    stretches: 0,
-    wakeRoutines: 0,
-    sleepRoutines: 0,
-    workTime: 0,
-    details: { eye: {}, stretch: {}, wake: {}, sleep: {} }
-  });
+  const [history, setHistory] = useState([]); // recent days, full detail
+  const [archive, setArchive] = useState({}); // { "YYYY-MM": [compact days] }, one row per day (no monthly totals)
+  const [statsPeriod, setStatsPeriod] = useState(() => ({ view: "month", month: dayKey().slice(0, 7) }));
+  const [streakSettings, setStreakSettings] = useState(DEFAULT_STREAK_SETTINGS);
+  const [streakRecords, setStreakRecords] = useState({}); // best-ever per rule id
+  const [todayStats, setTodayStats] = useState(() => emptyTodayStats());
+  const waterMl = todayStats.waterMl;
+
+  // drink log editor (id of the entry being edited + draft values)
+  const [editingDrink, setEditingDrink] = useState(null); // { id, time, ml, beverage } | null
+
+  // import en attente de confirmation (fichier lu et validé, pas encore appliqué)
+  const [importDraft, setImportDraft] = useState(null); // { fileName, data, mode: "merge"|"replace" } | null
+  const [importMessage, setImportMessage] = useState(null); // { tone: "error"|"ok", text } | null
+
+  const beverageOpts = { cupMl, custom: customBeverage };
+  const beverage = resolveBeverage(beverageId, beverageOpts);
 
+  // objectif du jour = objectif de base + bonus (journée chaude / sport)
+  const todayGoalMl = dayGoalMl(dailyGoalMl, todayStats);
 
   // History is used for charts (water/routines). Avoid updating history every time workTime increments,
-  // otherwise the Stats charts will re-render and appear to "blink".
+  // otherwise the Stats charts will re-render and appear to "blink": the day's work time is kept as workSec,
+  // rounded down to the minute (focus vs. work per day in Stats).
+  // Each entry snapshots the targets of its day, so later setting changes don't re-interpret past days.
+  const workMinutes = Math.floor(todayStats.workTime / 60);
   const todayForHistory = useMemo(() => {
     const { workTime, ...rest } = todayStats;
-    return rest;
+    return { ...rest, workSec: workMinutes * 60, dailyGoalMl: todayGoalMl, cupMl, eyeBreakInterval, stretchInterval };
   }, [
+    workMinutes,
+    todayGoalMl,
+    cupMl,
+    eyeBreakInterval,
+    stretchInterval,
     todayStats.dayKey,
     todayStats.waterMl,
+    todayStats.rawMl,
+    todayStats.drinks,
+    todayStats.hotDay,
+    todayStats.workoutDay,
     todayStats.eyeBreaks,
     todayStats.stretches,
     todayStats.wakeRoutines,
     todayStats.sleepRoutines,
-    todayStats.details
+    todayStats.details,
+    todayStats.reminders,
+    todayStats.reminderLog,
+    todayStats.focusSessions,
+    todayStats.focusSec,
+    todayStats.routines
   ]);
 
+  const [hydrated, setHydrated] = useState(false); // true once saved data has been loaded
+  const [migrationIssue, setMigrationIssue] = useState(null); // { message, backupKey } | null
+  const [migrationMerge, setMigrationMerge] = useState(null); // { fromVersions, addedDays, backupKey } | null
+  const [saveIssues, setSaveIssues] = useState({}); // clé de stockage -> message, tant que son écriture échoue
+  const [notifPermission, setNotifPermission] = useState("unknown"); // "granted"|"denied"|"default"|"prompt"|"unsupported"
   const saveDebounceRef = useRef(null);
   const lastDayRef = useRef(dayKey());
 
-  // batch workTime to reduce repaint/re-render pressure
-  const workAccRef = useRef(0);
-
-  const exercises = useMemo(
-    () => ({
-      eye: [
-        { id: "eye-2020", name: "Règle 20-20-20", durationSec: 20, desc: "Regardez un objet à ~6 mètres pendant 20 secondes." },
-        { id: "eye-blink", name: "Clignements", durationSec: 20, desc: "Clignez lentement des yeux (10 fois environ)." },
-        { id: "eye-massage", name: "Massage des yeux", durationSec: 20, desc: "Fermez les yeux et massez doucement les tempes." }
-      ],
-      stretch: [
-        { id: "st-neck", name: "Rotation du cou", durationSec: 30, desc: "Tournez lentement la tête de gauche à droite." },
-        { id: "st-shoulders", name: "Étirement des épaules", durationSec: 30, desc: "Roulez vos épaules en arrière puis en avant." },
-        { id: "st-arms", name: "Étirement des bras", durationSec: 30, desc: "Tendez les bras, entrelacez les doigts, étirez doucement." },
-        { id: "st-back", name: "Flexion du dos", durationSec: 30, desc: "Penchez-vous vers l'avant doucement (sans douleur)." }
-      ],
-      wake: [
-        { id: "wk-breath", name: "Respiration énergisante", durationSec: 60, desc: "Inspirez profondément par le nez, expirez lentement." },
-        { id: "wk-mobility", name: "Mobilité douce", durationSec: 60, desc: "Bougez cou/épaules/hanches, amplitude confortable." },
-        { id: "wk-posture", name: "Activation posturale", durationSec: 45, desc: "Redressez-vous, omoplates basses, respiration calme." }
-      ],
-      sleep: [
-        { id: "sl-breath", name: "Respiration calmante", durationSec: 60, desc: "Inspirez 4s, expirez 6s. Relâchez les épaules." },
-        { id: "sl-neck", name: "Détente nuque/épaules", durationSec: 45, desc: "Relâchez nuque/épaules, micro-rotations très lentes." },
-        { id: "sl-scan", name: "Scan corporel", durationSec: 90, desc: "Parcourez le corps et relâchez progressivement." }
-      ]
-    }),
-    []
-  );
-
-  const labelsById = useMemo(() => {
-    const m = {};
-    for (const k of ["eye", "stretch", "wake", "sleep"]) {
-      for (const ex of exercises[k]) m[ex.id] = ex.name;
-    }
-    return m;
-  }, [exercises]);
-
-  /* =========================
-   * Load
-   * ========================= */
-  useEffect(() => {
-    const loadedHistory = readLS(STORAGE_HISTORY_KEY, []);
-    const h = Array.isArray(loadedHistory) ? loadedHistory : [];
-    setHistory(h);
-    setStreak(computeStreak(h, new Date()));
-
-    const s = readLS(STORAGE_STATE_KEY, null);
-    if (!s) return;
+  // catalogue modifiable (lib/exercises.js) ; les routines ne jouent que les exercices actifs
+  const catalogWithImages = useMemo(() => withImages(exerciseCatalog, exerciseImages), [exerciseCatalog, exerciseImages]);
+  const exercises = useMemo(() => activeExercises(catalogWithImages), [catalogWithImages]);
+  const labelsById = useMemo(() => exerciseLabels(exerciseCatalog), [exerciseCatalog]);
+  const routineNamesById = useMemo(() => routineLabels(customRoutines), [customRoutines]);
 
+  // Validates and applies a saved state (startup load, or a restored JSON backup).
+  const applySavedState = (s) => {
     if (typeof s.themeId === "string" && THEMES[s.themeId]) setThemeId(s.themeId);
 
     if (typeof s.eyeBreakInterval === "number") setEyeBreakInterval(clampInt(s.eyeBreakInterval, 600, 7200));
     if (typeof s.stretchInterval === "number") setStretchInterval(clampInt(s.stretchInterval, 900, 10800));
     if (typeof s.soundEnabled === "boolean") setSoundEnabled(s.soundEnabled);
+    if (s.sound) setSound(sanitizeSound(s.sound));
+    if (typeof s.hapticsEnabled === "boolean") setHapticsEnabled(s.hapticsEnabled);
+    if (s.schedule) setSchedule(sanitizeSchedule(s.schedule));
+    if (typeof s.scheduleOverrideUntil === "number") setScheduleOverrideUntil(s.scheduleOverrideUntil);
+    if (s.idle) setIdle(sanitizeIdle(s.idle));
+    if (s.focusSettings) setFocusSettings(sanitizeFocus(s.focusSettings));
+    if (s.breathing) setBreathing(sanitizeBreathing(s.breathing));
+    if (s.voice) setVoice(sanitizeVoice(s.voice));
+    if (s.exerciseCatalog) {
+      // anciens catalogues : les images importées y étaient en data URL
+      const { catalog, images } = extractImages(sanitizeCatalog(s.exerciseCatalog));
+      setExerciseCatalog(catalog);
+      if (Object.keys(images).length > 0) setExerciseImages((im) => sanitizeImages({ ...im, ...images }));
+    }
+    if (s.customRoutines) setCustomRoutines(sanitizeRoutines(s.customRoutines));
 
     if (typeof s.cupMl === "number") setCupMl(clampInt(s.cupMl, 150, 600));
-    if (typeof s.dailyGoalMl === "number") setDailyGoalMl(clampInt(s.dailyGoalMl, 1200, 4000));
+    if (typeof s.dailyGoalMl === "number") setDailyGoalMl(clampInt(s.dailyGoalMl, GOAL_MIN_ML, GOAL_MAX_ML));
+    setGoalVersions(sanitizeGoalVersions(s.goalVersions));
+    if (s.goalProfile) setGoalProfile(sanitizeProfile(s.goalProfile));
+    if (typeof s.beverageId === "string" && BEVERAGES.some((b) => b.id === s.beverageId)) setBeverageId(s.beverageId);
+    if (s.customBeverage) setCustomBeverage(sanitizeCustomBeverage(s.customBeverage));
+    if (typeof s.safetyCeilingMl === "number") setSafetyCeilingMl(sanitizeSafetyCeiling(s.safetyCeilingMl));
+    if (s.waterReminders) setWaterReminders(sanitizeWaterReminders(s.waterReminders));
+    if (typeof s.lastWaterReminderAt === "number") setLastWaterReminderAt(Math.min(s.lastWaterReminderAt, Date.now()));
+    if (typeof s.waterSnoozeUntil === "number") setWaterSnoozeUntil(s.waterSnoozeUntil);
 
     // Avatar: femme / homme / enfant fille / enfant garçon
     if (typeof s.avatar === "string") {
@@ -448,11 +673,25 @@ export default function ZenhydratationApp() {
 
     if (typeof s.bubblesEnabled === "boolean") setBubblesEnabled(s.bubblesEnabled);
 
+    if (s.streakSettings) setStreakSettings(sanitizeStreakSettings(s.streakSettings));
+    if (s.streakRecords) setStreakRecords(sanitizeStreakRecords(s.streakRecords));
+
     const current = dayKey();
     if (s.todayStats?.dayKey === current) {
+      // Anciennes sauvegardes: un seul compteur waterMl, converti en une prise unique
+      let drinks = sanitizeDrinks(s.todayStats.drinks);
+      if (!Array.isArray(s.todayStats.drinks)) {
+        const legacyMl = clampInt(s.waterMl ?? s.todayStats.waterMl ?? 0, 0, 50_000);
+        if (legacyMl > 0) drinks = [createDrink({ ml: legacyMl })];
+      }
+
       setTodayStats({
         dayKey: current,
-        waterMl: clampInt(s.todayStats.waterMl ?? 0, 0, 50_000),
+        waterMl: totalEffectiveMl(drinks),
+        rawMl: totalMl(drinks),
+        drinks,
+        hotDay: !!s.todayStats.hotDay,
+        workoutDay: !!s.todayStats.workoutDay,
         eyeBreaks: clampInt(s.todayStats.eyeBreaks ?? 0, 0, 500),
         stretches: clampInt(s.todayStats.stretches ?? 0, 0, 500),
         wakeRoutines: clampInt(s.todayStats.wakeRoutines ?? 0, 0, 500),
@@ -463,99 +702,208 @@ export default function ZenhydratationApp() {
           stretch: s.todayStats.details?.stretch && typeof s.todayStats.details.stretch === "object" ? s.todayStats.details.stretch : {},
           wake: s.todayStats.details?.wake && typeof s.todayStats.details.wake === "object" ? s.todayStats.details.wake : {},
           sleep: s.todayStats.details?.sleep && typeof s.todayStats.details.sleep === "object" ? s.todayStats.details.sleep : {}
-        }
+        },
+        reminders: sanitizeReminderCounts(s.todayStats.reminders),
+        reminderLog: sanitizeReminderLog(s.todayStats.reminderLog),
+        focusSessions: clampInt(s.todayStats.focusSessions ?? 0, 0, 500),
+        focusSec: clampInt(s.todayStats.focusSec ?? 0, 0, 24 * 3600),
+        routines: sanitizeRoutineCounts(s.todayStats.routines)
       });
 
-      if (typeof s.waterMl === "number") setWaterMl(clampInt(s.waterMl, 0, 50_000));
-      else setWaterMl(clampInt(s.todayStats?.waterMl ?? 0, 0, 50_000));
-
-      setEyeBreakTimer(clampInt(s.eyeBreakTimer ?? eyeBreakInterval, 1, 7200));
-      setStretchTimer(clampInt(s.stretchTimer ?? stretchInterval, 1, 10800));
-      setIsPaused(!!s.isPaused);
+      // échéances absolues ; les anciennes sauvegardes n'avaient que les secondes restantes
+      const t = Date.now();
+      const intervals = {
+        eye: clampInt(s.eyeBreakInterval ?? 1200, 600, 7200),
+        stretch: clampInt(s.stretchInterval ?? 3600, 900, 10800)
+      };
+      const saved = sanitizeTimers(s.timers, t, intervals);
+      if (saved) {
+        setTimers(saved);
+      } else {
+        const legacy = startTimers(t, {
+          eye: clampInt(s.eyeBreakTimer ?? intervals.eye, 1, 7200),
+          stretch: clampInt(s.stretchTimer ?? intervals.stretch, 1, 10800)
+        });
+        setTimers(s.isPaused ? pauseTimers(legacy, t) : legacy);
+      }
+      // une session focus ne survit pas au changement de jour
+      setFocus(sanitizeFocusSession(s.focus, t, sanitizeFocus(s.focusSettings)));
+      setNow(t);
     } else {
-      setTodayStats({
-        dayKey: current,
-        waterMl: 0,
-        eyeBreaks: 0,
-        stretches: 0,
-        wakeRoutines: 0,
-        sleepRoutines: 0,
-        workTime: 0,
-        details: { eye: {}, stretch: {}, wake: {}, sleep: {} }
-      });
-      setWaterMl(0);
-      setEyeBreakTimer(s.eyeBreakInterval ?? 1200);
-      setStretchTimer(s.stretchInterval ?? 3600);
-      setIsPaused(false);
+      setTodayStats(emptyTodayStats(current));
+      setTimers(startTimers(Date.now(), { eye: s.eyeBreakInterval ?? 1200, stretch: s.stretchInterval ?? 3600 }));
+    }
+  };
+
+  /* =========================
+   * Load
+   * ========================= */
+  useEffect(() => {
+    let alive = true;
+
+    // Everything goes through the storage layer (localStorage on web, Preferences on Android).
+    // Saves are held back until this has run, so defaults never overwrite stored data.
+    async function load() {
+      // old keys/shapes (v1–v4) are upgraded first; a failure is shown, never silently swallowed
+      try {
+        const migration = await runMigrations();
+        if (alive && migration.failure) setMigrationIssue(migration.failure);
+        if (alive && migration.status === "merged" && migration.addedDays > 0) setMigrationMerge(migration);
+      } catch (e) {
+        if (alive) setMigrationIssue({ message: e.message, backupKey: e.backupKey ?? null });
+      }
+
+      const [h, a, s, im] = await Promise.all([
+        loadHistory(),
+        loadArchive(),
+        getItem(STORAGE_KEYS.state, null),
+        getItem(STORAGE_KEYS.images, {})
+      ]);
+      if (!alive) return;
+      setHistory(h);
+      setArchive(a);
+      setExerciseImages(sanitizeImages(im));
+      if (s) applySavedState(s);
+      setHydrated(true);
     }
+
+    load();
+    return () => {
+      alive = false;
+    };
   }, []);
 
   /* =========================
    * Save
    * ========================= */
+  const persistedState = {
+    themeId,
+    eyeBreakInterval,
+    stretchInterval,
+    soundEnabled,
+    sound,
+    hapticsEnabled,
+    schedule,
+    scheduleOverrideUntil,
+    idle,
+    focusSettings,
+    focus,
+    breathing,
+    voice,
+    exerciseCatalog,
+    customRoutines,
+    cupMl,
+    dailyGoalMl,
+    goalVersions,
+    goalProfile,
+    beverageId,
+    customBeverage,
+    safetyCeilingMl,
+    waterReminders,
+    lastWaterReminderAt,
+    waterSnoozeUntil,
+    avatar,
+    bubblesEnabled,
+    streakSettings,
+    streakRecords,
+    timers,
+    todayStats
+  };
+
+  // une écriture refusée (quota plein, Preferences indisponible) est signalée au lieu d'être perdue en silence ;
+  // la suivante qui réussit pour la même clé efface l'alerte
+  const persist = (key, write) => {
+    write.then(
+      () => setSaveIssues((m) => (m[key] ? Object.fromEntries(Object.entries(m).filter(([k]) => k !== key)) : m)),
+      (e) => setSaveIssues((m) => ({ ...m, [key]: describeStorageError(e) }))
+    );
+  };
+
   useEffect(() => {
-    const payload = {
-      themeId,
-      eyeBreakInterval,
-      stretchInterval,
-      soundEnabled,
-      cupMl,
-      dailyGoalMl,
-      waterMl,
-      avatar,
-      bubblesEnabled,
-      eyeBreakTimer,
-      stretchTimer,
-      isPaused,
-      todayStats
-    };
+    if (!hydrated) return;
 
     if (saveDebounceRef.current) clearTimeout(saveDebounceRef.current);
     saveDebounceRef.current = setTimeout(() => {
-      writeLS(STORAGE_STATE_KEY, payload);
+      persist(STORAGE_KEYS.state, setItem(STORAGE_KEYS.state, persistedState));
     }, 250);
 
     return () => {
       if (saveDebounceRef.current) clearTimeout(saveDebounceRef.current);
     };
   }, [
+    hydrated,
     themeId,
     eyeBreakInterval,
     stretchInterval,
     soundEnabled,
+    sound,
+    hapticsEnabled,
+    schedule,
+    scheduleOverrideUntil,
+    idle,
+    focusSettings,
+    focus,
+    breathing,
+    voice,
+    exerciseCatalog,
+    customRoutines,
     cupMl,
     dailyGoalMl,
-    waterMl,
+    goalVersions,
+    goalProfile,
+    beverageId,
+    customBeverage,
+    safetyCeilingMl,
+    waterReminders,
+    lastWaterReminderAt,
+    waterSnoozeUntil,
     avatar,
     bubblesEnabled,
-    eyeBreakTimer,
-    stretchTimer,
-    isPaused,
+    streakSettings,
+    streakRecords,
+    timers,
     todayStats
   ]);
 
-  /* =========================
-   * Keep todayStats.waterMl in sync with waterMl
-   * ========================= */
+  // images : écrites à part, seulement quand elles changent ; celles d'exercices supprimés sont retirées
+  useEffect(() => {
+    if (hydrated) setExerciseImages((im) => pruneImages(im, exerciseCatalog));
+  }, [hydrated, exerciseCatalog]);
+
   useEffect(() => {
-    setTodayStats((s) => (s.waterMl === waterMl ? s : { ...s, waterMl }));
-  }, [waterMl]);
+    if (!hydrated) return;
+    persist(STORAGE_KEYS.images, setItem(STORAGE_KEYS.images, exerciseImages));
+  }, [hydrated, exerciseImages]);
 
   /* =========================
-   * Upsert today in history (max 30)
+   * Upsert today in history (nothing is deleted: older days move to the archive, compact rows grouped by month)
    * NOTE: uses todayForHistory (workTime excluded) to avoid chart flicker
    * ========================= */
+  // dernières valeurs lues par l'effet ci-dessous, qui ne doit se relancer que quand le jour change
+  const historyRef = useRef(history);
+  historyRef.current = history;
+  const archiveRef = useRef(archive);
+  archiveRef.current = archive;
+
   useEffect(() => {
+    if (!hydrated) return;
+
+    // calculé hors des updaters : ils doivent rester purs (rejoués par React), les écritures sont faites une fois ici
     const current = todayForHistory.dayKey;
-    setHistory((prev) => {
-      const without = prev.filter((e) => e.dayKey !== current);
-      const next = [...without, todayForHistory].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
-      const trimmed = next.slice(Math.max(0, next.length - 30));
-      writeLS(STORAGE_HISTORY_KEY, trimmed);
-      setStreak(computeStreak(trimmed, new Date()));
-      return trimmed;
-    });
-  }, [todayForHistory]);
+    const without = historyRef.current.filter((e) => e.dayKey !== current);
+    const { hot, moved } = splitHotDays([...without, todayForHistory]);
+    historyRef.current = hot;
+    setHistory(hot);
+    persist(STORAGE_KEYS.history, saveHistory(hot));
+    if (moved.length > 0) {
+      const next = archiveEntries(archiveRef.current, moved);
+      archiveRef.current = next;
+      setArchive(next);
+      persist(STORAGE_KEYS.archive, saveArchive(next));
+    }
+  }, [todayForHistory, hydrated]);
+
+  const fullHistory = useMemo(() => mergeHistory(archive, history), [archive, history]);
 
   /* =========================
    * Day rollover
@@ -565,73 +913,528 @@ export default function ZenhydratationApp() {
       const current = dayKey();
       if (lastDayRef.current !== current) {
         lastDayRef.current = current;
-        setTodayStats({
-          dayKey: current,
-          waterMl: 0,
-          eyeBreaks: 0,
-          stretches: 0,
-          wakeRoutines: 0,
-          sleepRoutines: 0,
-          workTime: 0,
-          details: { eye: {}, stretch: {}, wake: {}, sleep: {} }
-        });
-        setWaterMl(0);
-        setEyeBreakTimer(eyeBreakInterval);
-        setStretchTimer(stretchInterval);
+        // rien de la veille ne doit sonner : l'effet de planification reposera ceux du nouveau jour
+        cancelReminders();
+        setTodayStats(emptyTodayStats(current));
+        setEditingDrink(null);
+        setTimers(startTimers(Date.now(), { eye: eyeBreakInterval, stretch: stretchInterval }));
         setShowNotif(null);
+        shownRemindersRef.current.clear();
         setShowExercise(null);
         setActiveRoutine(null);
-        setIsPaused(false);
-        workAccRef.current = 0;
+        // une session focus ne déborde pas sur le nouveau jour : les phases terminées sont déjà comptées la veille
+        setFocus(null);
+        setFocusOffer(null);
       }
     }, 30_000);
     return () => clearInterval(id);
   }, [eyeBreakInterval, stretchInterval]);
 
-  const triggerNotification = (type) => {
+  /* =========================
+   * Reminder outcomes (in-app card + system notification actions)
+   * ========================= */
+  // rappels déjà comptés "affichés" aujourd'hui (tag kind+échéance) : la carte et la notification système
+  // du même rappel ne comptent qu'une fois
+  const shownRemindersRef = useRef(new Set());
+
+  // compteurs du jour + journal (issue et délai de réponse, mesuré depuis l'échéance du rappel)
+  const recordReminder = (kind, outcome) => {
+    const t = Date.now();
+    setTodayStats((s) => ({
+      ...s,
+      reminders: countReminderOutcome(s.reminders, kind, outcome),
+      reminderLog: logReminderOutcome(s.reminderLog, kind, outcome, t)
+    }));
+  };
+
+  const countShown = (kind, at) => {
+    const shownAt = at ?? Date.now();
+    const tag = reminderTag(kind, shownAt);
+    if (shownRemindersRef.current.has(tag)) return;
+    shownRemindersRef.current.add(tag);
+    setTodayStats((s) => ({
+      ...s,
+      reminders: countReminderOutcome(s.reminders, kind, "shown"),
+      reminderLog: logReminderShown(s.reminderLog, { kind, at: shownAt })
+    }));
+  };
+
+  // la carte reste affichée jusqu'à une réponse : un rappel ignoré compte comme "affiché" sans issue
+  const triggerNotification = (type, at) => {
     setShowNotif(type);
-    if (soundEnabled) playTone({ freq: type === "eye" ? 880 : 660 });
-    setTimeout(() => setShowNotif(null), 6000);
+    countShown(type, at);
+    if (soundEnabled) playCue(cueFor(sound, "reminder"));
+    if (hapticsEnabled) haptic("reminder");
+  };
+
+  const snoozeReminder = (kind, minutes) => {
+    const t = Date.now();
+    if (kind === "water") setWaterSnoozeUntil(t + minutes * 60_000);
+    else setTimers((tm) => restartTimer(tm, kind, minutes * 60, t));
+  };
+
+  // action = "done" | "snooze5" | "snooze10" | "skip" (REMINDER_ACTIONS)
+  const respondToReminder = (kind, action) => {
+    const minutes = snoozeMinutes(action);
+    if (action === "done") {
+      if (kind === "water") {
+        addWater();
+      } else {
+        setTodayStats((s) => (kind === "eye" ? { ...s, eyeBreaks: s.eyeBreaks + 1 } : { ...s, stretches: s.stretches + 1 }));
+        if (soundEnabled) playCue(cueFor(sound, "done"));
+      }
+      recordReminder(kind, "done");
+    } else if (minutes > 0) {
+      snoozeReminder(kind, minutes);
+      recordReminder(kind, "snoozed");
+    } else if (action === "skip") {
+      recordReminder(kind, "skipped");
+    }
+    setShowNotif((cur) => (cur === kind ? null : cur));
+  };
+
+  // actions choisies sur une notification système (app fermée ou en arrière-plan)
+  const systemActionRef = useRef(null);
+  systemActionRef.current = ({ kind, at, action }) => {
+    if (!REMINDER_KINDS.includes(kind)) return;
+    countShown(kind, at);
+    if (action === "open") setShowNotif(kind);
+    else respondToReminder(kind, action);
+  };
+
+  useEffect(() => {
+    if (!hydrated) return;
+    let unsubscribe = () => {};
+    let alive = true;
+    onReminderAction((ev) => systemActionRef.current?.(ev)).then((off) => {
+      if (alive) unsubscribe = off;
+      else off();
+    });
+    return () => {
+      alive = false;
+      unsubscribe();
+    };
+  }, [hydrated]);
+
+  /* =========================
+   * Hydration reminder (smart spacing, see lib/hydrationReminders.js)
+   * Recomputed only when something that moves it changes, so its due time stays stable between ticks.
+   * ========================= */
+  const lastDrinkAt = lastDrink(todayStats.drinks)?.at ?? 0;
+  const waterPlan = useMemo(
+    () =>
+      nextWaterReminder({
+        now: Date.now(),
+        goalMl: todayGoalMl,
+        waterMl,
+        cupMl,
+        settings: waterReminders,
+        lastDrinkAt,
+        lastReminderAt: lastWaterReminderAt,
+        snoozedUntil: waterSnoozeUntil
+      }),
+    [todayStats.dayKey, todayGoalMl, waterMl, cupMl, waterReminders, lastDrinkAt, lastWaterReminderAt, waterSnoozeUntil]
+  );
+
+  /* =========================
+   * Weekly schedule (working hours, lunch, do-not-disturb)
+   * ========================= */
+  const remindersAllowedAt = (t) => scheduleOverrideUntil > t || isScheduledAt(schedule, t);
+
+  // seul le temps planifié compte dans workTime, sauf relance manuelle hors planning
+  const workSecondsBetween = (from, to) =>
+    scheduleOverrideUntil > to ? Math.floor((to - from) / 1000) : scheduledSecondsBetween(schedule, from, to);
+
+  const creditWork = (sec, t) => {
+    const credited = workSecondsBetween(t - sec * 1000, t);
+    if (credited > 0) setTodayStats((s) => ({ ...s, workTime: s.workTime + credited }));
+  };
+
+  /* =========================
+   * Idle detection (no input while visible, or app in background if enabled)
+   * ========================= */
+  const reminderIntervals = { eye: eyeBreakInterval, stretch: stretchInterval };
+  const idleMinutes = idleThresholdMinutes(idle, reminderIntervals);
+  const lastInputAtRef = useRef(Date.now());
+  const hiddenAtRef = useRef(null); // depuis quand l'app est en arrière-plan, null = visible
+  // début de la dernière absence décomptée : le tick et le retour au premier plan peuvent la voir tous les deux
+  const lastIdleSinceRef = useRef(null);
+
+  // absence constatée : pause ; le temps actif d'avant l'absence est crédité, celui déjà crédité depuis son début est retiré
+  const goIdle = (since, t) => {
+    if (lastIdleSinceRef.current === since) return;
+    lastIdleSinceRef.current = since;
+    const from = Math.max(since, new Date(t).setHours(0, 0, 0, 0));
+    // travail réel entre le dernier crédit et le début de l'absence (pauseForIdle remet workFrom à null)
+    creditWork(pendingWorkSec(timers, from), from);
+    // horloge arrêtée en arrière-plan : rien n'a été crédité après le passage en arrière-plan
+    const creditedTo = timers.workFrom ?? hiddenAtRef.current ?? t;
+    if (creditedTo > from) {
+      const back = workSecondsBetween(from, creditedTo);
+      setTodayStats((s) => ({ ...s, workTime: Math.max(0, s.workTime - back) }));
+    }
+    setTimers((tm) => pauseForIdle(tm, t, since));
+    setNow(t);
+  };
+
+  // retour : reprise, et un rappel dont l'intervalle a été dépassé pendant l'absence repart de zéro
+  const returnFromIdle = (t) => {
+    const intervals = { eye: eyeBreakInterval, stretch: stretchInterval };
+    setTimers((tm) =>
+      tm.pausedBy === "idle"
+        ? resetAfterAbsence(resumeTimers(tm, t), Math.floor((t - tm.idleSince) / 1000), intervals, t)
+        : tm
+    );
+    setNow(t);
+  };
+
+  const activityRef = useRef(null);
+  activityRef.current = {
+    input: () => {
+      const t = Date.now();
+      lastInputAtRef.current = t;
+      if (timers.pausedBy === "idle") returnFromIdle(t);
+    },
+    visibility: (visible) => {
+      const t = Date.now();
+      // workTime = temps actif : l'app cachée ou suspendue ne compte pas, l'horloge de travail s'arrête
+      if (!visible) {
+        hiddenAtRef.current = t;
+        creditWork(pendingWorkSec(timers, t), t);
+        setTimers((tm) => stopWorkClock(tm));
+        return;
+      }
+      const hiddenAt = hiddenAtRef.current;
+      lastInputAtRef.current = t;
+      if (timers.pausedBy === "idle") {
+        hiddenAtRef.current = null;
+        returnFromIdle(t);
+        return;
+      }
+      // app suspendue (Android) : aucun tick pendant l'absence, elle est décomptée au retour
+      const away =
+        hiddenAt === null
+          ? null
+          : awaySince({ now: t, lastInputAt: t, hiddenAt, settings: idle, intervals: reminderIntervals });
+      if (away !== null && !isPaused) {
+        goIdle(away, t);
+        returnFromIdle(t);
+      } else {
+        setTimers((tm) => startWorkClock(tm, t));
+      }
+      hiddenAtRef.current = null;
+    }
   };
 
+  useEffect(() => {
+    if (!hydrated) return;
+    if (!isAppVisible()) {
+      hiddenAtRef.current = Date.now();
+      setTimers((tm) => stopWorkClock(tm));
+    }
+    let unsubscribe = () => {};
+    let alive = true;
+    const offInput = onUserInput(() => activityRef.current?.input());
+    onAppVisibility((visible) => activityRef.current?.visibility(visible)).then((off) => {
+      if (alive) unsubscribe = off;
+      else off();
+    });
+    return () => {
+      alive = false;
+      offInput();
+      unsubscribe();
+    };
+  }, [hydrated]);
+
+  // auto-pause / reprise aux frontières du planning (tourne aussi pendant la pause, contrairement au tick)
+  useEffect(() => {
+    if (!hydrated) return;
+
+    const check = () => {
+      const t = Date.now();
+      if (scheduleOverrideUntil > t) return;
+      if (scheduleOverrideUntil) setScheduleOverrideUntil(0);
+
+      const inside = isScheduledAt(schedule, t);
+      if (!inside && !isTimersPaused(timers)) {
+        creditWork(pendingWorkSec(timers, t), t);
+        setTimers(pauseTimers(timers, t, "schedule"));
+        setNow(t);
+      } else if (inside && timers.pausedBy === "schedule") {
+        setTimers(resumeTimers(timers, t, isAppVisible()));
+        setNow(t);
+      }
+    };
+
+    const onVisible = () => {
+      if (document.visibilityState === "visible") check();
+    };
+
+    check();
+    const id = setInterval(check, 15_000);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [hydrated, schedule, scheduleOverrideUntil, timers]);
+
   /* =========================
-   * Main timers
+   * Main timers (wall clock)
    * ========================= */
   useEffect(() => {
-    if (isPaused) return;
+    if (isPaused || !hydrated) return;
+
+    const tick = () => {
+      const t = Date.now();
+      setNow(t);
+      // une routine en cours compte comme une activité, même sans saisie
+      const away = activeRoutine
+        ? null
+        : awaySince({
+            now: t,
+            lastInputAt: lastInputAtRef.current,
+            hiddenAt: hiddenAtRef.current,
+            settings: idle,
+            intervals: reminderIntervals
+          });
+      if (away !== null) {
+        goIdle(away, t);
+        return;
+      }
+      // hors planning (ex. retour de veille après la fin de journée) : rien ne sonne, l'effet planning met en pause
+      if (!remindersAllowedAt(t)) return;
 
-    const id = setInterval(() => {
-      setEyeBreakTimer((prev) => {
-        if (prev <= 1) {
-          triggerNotification("eye");
-          return eyeBreakInterval;
-        }
-        return prev - 1;
-      });
+      if (waterPlan && t >= waterPlan.at) {
+        setLastWaterReminderAt(t);
+        triggerNotification("water", waterPlan.at);
+        showReminderNow("water", waterPlan.at);
+      }
 
-      setStretchTimer((prev) => {
-        if (prev <= 1) {
-          triggerNotification("stretch");
-          return stretchInterval;
+      const step = tickTimers(timers, t, { eye: eyeBreakInterval, stretch: stretchInterval });
+      if (step.timers === timers) return;
+      setTimers(step.timers);
+      // workTime = real elapsed running time, credited in batches (no per-second stats re-render)
+      creditWork(step.workSec, t);
+      for (const type of step.fired) {
+        // en concentration, le rappel attend la prochaine pause du mode focus
+        if (focus && focus.phase === "work") {
+          setFocus((f) => (f ? deferToBreak(f, type) : f));
+          continue;
         }
-        return prev - 1;
-      });
+        triggerNotification(type, timers.dueAt[type]);
+        // onglet caché (web) : notification système tout de suite, c'est le seul moyen d'en recevoir ;
+        // app au premier plan (Android) : la notification système du même rappel est retirée, pas de doublon
+        showReminderNow(type, timers.dueAt[type]);
+      }
+    };
+
+    // intervals are throttled in background tabs / asleep on mobile: catch up as soon as we're visible again
+    const onVisible = () => {
+      if (document.visibilityState === "visible") tick();
+    };
+
+    tick();
+    const id = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [
+    timers,
+    waterPlan,
+    isPaused,
+    hydrated,
+    eyeBreakInterval,
+    stretchInterval,
+    soundEnabled,
+    schedule,
+    scheduleOverrideUntil,
+    idle,
+    activeRoutine,
+    focus
+  ]);
+
+  /* =========================
+   * System reminders. Android: LocalNotifications, delivered even when the app is closed; rescheduled whenever
+   * a due time, an interval, the pause state or the permission changes. Web: nothing can be scheduled ahead
+   * (no Notification Triggers, the service worker is stopped when idle), the open tab shows them (showReminderNow).
+   * ========================= */
+  useEffect(() => {
+    if (!hydrated) return;
+    initNotifications().then(() => getNotificationPermission()).then((p) => setNotifPermission(p ?? "unsupported"));
+  }, [hydrated]);
+
+  const requestNotifPermission = async () => {
+    await ensureNotificationPermission();
+    setNotifPermission((await getNotificationPermission()) ?? "unsupported");
+  };
+
+  useEffect(() => {
+    if (!hydrated) return;
+    // une pause d'absence ne voit que cette page : les rappels système restent posés (échéances d'avant la pause)
+    // au cas où l'on travaille dans une autre fenêtre
+    if (isPaused && timers.pausedBy !== "idle") {
+      cancelReminders();
+      return;
+    }
+    // en concentration (mode focus), yeux et étirements sont regroupés sur la pause suivante
+    const plan =
+      focus?.phase === "work"
+        ? []
+        : [
+            { kind: "eye", at: timers.dueAt.eye, every: eyeBreakInterval },
+            { kind: "stretch", at: timers.dueAt.stretch, every: stretchInterval }
+          ];
+    // les rappels suivants supposent qu'on ne boit pas entre-temps : un verre bu replanifie tout
+    if (waterPlan) plan.push({ kind: "water", ...waterPlan });
+    scheduleNextReminders({ plan, allow: remindersAllowedAt });
+  }, [
+    hydrated,
+    isPaused,
+    timers.pausedBy,
+    notifPermission,
+    timers.dueAt.eye,
+    timers.dueAt.stretch,
+    eyeBreakInterval,
+    stretchInterval,
+    waterPlan,
+    schedule,
+    scheduleOverrideUntil,
+    focus?.phase
+  ]);
 
-      // batch workTime updates every 10 seconds to reduce UI flicker/hover flashing
-      workAccRef.current += 1;
-      if (workAccRef.current >= 10) {
-        const delta = workAccRef.current;
-        workAccRef.current = 0;
-        setTodayStats((s) => ({ ...s, workTime: s.workTime + delta }));
+  const togglePause = () => {
+    const t = Date.now();
+    if (timers.pausedBy === "idle") {
+      returnFromIdle(t);
+      return;
+    }
+    if (isPaused) {
+      // reprise hors planning = forçage jusqu'à la prochaine frontière (ou la fin de la journée)
+      if (!isScheduledAt(schedule, t)) {
+        setScheduleOverrideUntil(nextBoundary(schedule, t) ?? new Date(t).setHours(23, 59, 59, 999));
       }
-    }, 1000);
+      setTimers(resumeTimers(timers, t));
+    } else {
+      creditWork(pendingWorkSec(timers, t), t);
+      setTimers(pauseTimers(timers, t));
+      setScheduleOverrideUntil(0);
+    }
+    setNow(t);
+  };
 
-    return () => clearInterval(id);
-  }, [isPaused, eyeBreakInterval, stretchInterval, soundEnabled]);
+  /* =========================
+   * Focus mode (work / short break / long break cycles, see lib/focus.js)
+   * Breaks pause the reminders and workTime; the eye/stretch reminders held back during work
+   * are offered as a routine at the break.
+   * ========================= */
+  const beginBreak = (next, t) => {
+    const kind = breakRoutineKind(next);
+    if (!isTimersPaused(timers)) creditWork(pendingWorkSec(timers, t), t);
+    // une pause loin de l'écran repose aussi les yeux : le rappel yeux repart de zéro à chaque pause
+    setTimers((tm) => {
+      let out = isTimersPaused(tm) ? tm : pauseTimers(tm, t, "focus");
+      out = restartTimer(out, "eye", eyeBreakInterval, t);
+      return kind === "stretch" ? restartTimer(out, "stretch", stretchInterval, t) : out;
+    });
+    setFocusOffer(kind);
+    if (soundEnabled) playCue(cueFor(sound, "reminder"));
+  };
+
+  const endBreak = (t) => {
+    setTimers((tm) => (tm.pausedBy === "focus" ? resumeTimers(tm, t, isAppVisible()) : tm));
+    setFocusOffer(null);
+    if (soundEnabled) playCue(cueFor(sound, "reminder"));
+  };
+
+  const onFocusPhaseEnd = (ended, next, t) => {
+    if (ended !== "work") {
+      endBreak(t);
+      return;
+    }
+    setTodayStats((s) => ({
+      ...s,
+      focusSessions: (s.focusSessions ?? 0) + 1,
+      focusSec: (s.focusSec ?? 0) + focusSettings.workMin * 60
+    }));
+    beginBreak(next, t);
+  };
+
+  useEffect(() => {
+    if (!hydrated || !focus || focus.pausedLeft !== null) return;
+
+    const tick = () => {
+      const t = Date.now();
+      setNow(t);
+      const step = advanceFocus(focus, t, focusSettings);
+      if (!step.ended) return;
+      setFocus(step.session);
+      onFocusPhaseEnd(step.ended, step.session, t);
+    };
+
+    const onVisible = () => {
+      if (document.visibilityState === "visible") tick();
+    };
+
+    tick();
+    const id = setInterval(tick, 1000);
+    document.addEventListener("visibilitychange", onVisible);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener("visibilitychange", onVisible);
+    };
+  }, [hydrated, focus, focusSettings, timers, eyeBreakInterval, stretchInterval, soundEnabled, schedule, scheduleOverrideUntil]);
+
+  const startFocusSession = () => {
+    const t = Date.now();
+    setFocus(startFocus(t, focusSettings));
+    setFocusOffer(null);
+    setTimers((tm) => (tm.pausedBy === "focus" ? resumeTimers(tm, t) : tm));
+    setNow(t);
+  };
+
+  const stopFocusSession = () => {
+    const t = Date.now();
+    setFocus(null);
+    setFocusOffer(null);
+    setTimers((tm) => (tm.pausedBy === "focus" ? resumeTimers(tm, t) : tm));
+    setNow(t);
+  };
+
+  const toggleFocusPause = () => {
+    const t = Date.now();
+    setFocus((f) => (f ? (f.pausedLeft !== null ? resumeFocus(f, t) : pauseFocus(f, t)) : f));
+    setNow(t);
+  };
+
+  // passer une phase : même enchaînement qu'une fin normale, sans compter le travail interrompu
+  const skipFocus = () => {
+    if (!focus) return;
+    const t = Date.now();
+    const next = skipFocusPhase(focus, t, focusSettings);
+    setFocus(next);
+    if (focus.phase === "work") beginBreak(next, t);
+    else endBreak(t);
+    setNow(t);
+  };
+
+  const startFocusRoutine = (kind) => {
+    startQueue(kind, exercises[kind]);
+    setFocusOffer(null);
+  };
 
   /* =========================
    * Formatting / derived
    * ========================= */
+  const scheduleResumeAt = timers.pausedBy === "schedule" ? nextBoundary(schedule, now) : null;
+  // "14:00", ou "lun. 09:00" si la reprise n'est pas aujourd'hui
+  const formatScheduleTime = (ms) => {
+    const clock = formatClock(ms);
+    if (dayKey(new Date(ms)) === todayStats.dayKey) return clock;
+    return `${new Date(ms).toLocaleDateString("fr-FR", { weekday: "short" })} ${clock}`;
+  };
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -639,10 +1442,20 @@ export default function ZenhydratationApp() {
   };
 
   const waterCount = Math.floor(waterMl / Math.max(1, cupMl));
-  const hydrationPct = Math.round((waterMl / Math.max(1, dailyGoalMl)) * 100);
+  const todayDrinks = useMemo(() => [...(todayStats.drinks ?? [])].reverse(), [todayStats.drinks]);
+  const chartHours = useMemo(
+    () =>
+      drinksByHour(todayStats.drinks)
+        .filter((h) => h.ml > 0 || (h.hour >= 7 && h.hour <= 22))
+        .map((h) => ({ hour: `${h.hour}h`, ml: h.ml, rawMl: h.rawMl })),
+    [todayStats.drinks]
+  );
+  const hydrationPct = Math.round((waterMl / Math.max(1, todayGoalMl)) * 100);
+  const overGoalMl = Math.max(0, waterMl - todayGoalMl);
+  const overCeiling = safetyCeilingMl > 0 && (todayStats.rawMl ?? waterMl) >= safetyCeilingMl;
 
   const energyScore = useMemo(() => {
-    const hydration = Math.min(1, waterMl / Math.max(1, dailyGoalMl));
+    const hydration = Math.min(1, waterMl / Math.max(1, todayGoalMl));
     const routines =
       todayStats.eyeBreaks +
       todayStats.stretches +
@@ -653,7 +1466,7 @@ export default function ZenhydratationApp() {
     return Math.round(score * 100);
   }, [
     waterMl,
-    dailyGoalMl,
+    todayGoalMl,
     todayStats.eyeBreaks,
     todayStats.stretches,
     todayStats.wakeRoutines,
@@ -670,6 +1483,10 @@ export default function ZenhydratationApp() {
         return { glow: "amber", ring: "text-amber-400", icon: <Sun className="h-6 w-6 text-amber-500" /> };
       case "sleep":
         return { glow: "indigo", ring: "text-indigo-400", icon: <Moon className="h-6 w-6 text-indigo-500" /> };
+      case "water":
+        return { glow: "cyan", ring: "text-cyan-400", icon: <Droplets className="h-6 w-6 text-cyan-500" /> };
+      case "custom":
+        return { glow: "cyan", ring: "text-cyan-400", icon: <Play className="h-6 w-6 text-cyan-500" /> };
       default:
         return { glow: "cyan", ring: "text-cyan-400", icon: <Eye className="h-6 w-6 text-cyan-500" /> };
     }
@@ -685,31 +1502,133 @@ export default function ZenhydratationApp() {
 
   const sum = (arr, k) => arr.reduce((acc, x) => acc + (x[k] ?? 0), 0);
 
-  const chart7 = useMemo(
+  // cibles propres à chaque jour (snapshot de l'entrée, sinon reconstituées)
+  const targetDefaults = useMemo(
+    () => ({ goalVersions, dailyGoalMl, cupMl, eyeBreakInterval, stretchInterval }),
+    [goalVersions, dailyGoalMl, cupMl, eyeBreakInterval, stretchInterval]
+  );
+
+  // each day is charted against its own cup size and goal ("✓" = goal met that day)
+  const toChartRow = (d) => {
+    const targets = dayTargets(d, targetDefaults);
+    const met = isGoalMet(d, targets);
+    return {
+      day: `${d.dayKey.slice(5)}${met ? " ✓" : ""}`,
+      water: Math.round((d.waterMl ?? 0) / Math.max(1, targets.cupMl)),
+      goalMet: met,
+      eye: d.eyeBreaks ?? 0,
+      stretch: d.stretches ?? 0,
+      wake: d.wakeRoutines ?? 0,
+      sleep: d.sleepRoutines ?? 0,
+      focusMin: Math.round((d.focusSec ?? 0) / 60),
+      workMin: Math.round((d.workSec ?? 0) / 60)
+    };
+  };
+
+  const chart7 = useMemo(() => window7.map(toChartRow), [window7, targetDefaults]);
+
+  const overGoalDays = useMemo(
     () =>
-      window7.map((d) => ({
-        day: d.dayKey.slice(5),
-        water: Math.round((d.waterMl ?? 0) / Math.max(1, cupMl)),
-        eye: d.eyeBreaks ?? 0,
-        stretch: d.stretches ?? 0,
-        wake: d.wakeRoutines ?? 0,
-        sleep: d.sleepRoutines ?? 0
-      })),
-    [window7, cupMl]
+      window30.filter(
+        (d) => (d.waterMl ?? 0) >= dayTargets(d, targetDefaults).dailyGoalMl * OVERHYDRATION_RATIO
+      ),
+    [window30, targetDefaults]
   );
 
-  const chart30 = useMemo(
+  const chart30 = useMemo(() => window30.map(toChartRow), [window30, targetDefaults]);
+
+  const goalMetCount = (rows) => rows.filter((r) => r.goalMet).length;
+
+  // suivi des rappels : compteurs journaliers pour les taux, journal détaillé (reminderLog) pour les heures
+  const compliance30 = useMemo(() => complianceTotals(window30), [window30]);
+  const complianceDays = useMemo(
     () =>
-      window30.map((d) => ({
+      complianceByDay(window30.slice(-14)).map((d) => ({
         day: d.dayKey.slice(5),
-        water: Math.round((d.waterMl ?? 0) / Math.max(1, cupMl)),
-        eye: d.eyeBreaks ?? 0,
-        stretch: d.stretches ?? 0,
-        wake: d.wakeRoutines ?? 0,
-        sleep: d.sleepRoutines ?? 0
+        rate: d.rate,
+        shown: d.shown
       })),
-    [window30, cupMl]
+    [window30]
   );
+  const complianceHours = useMemo(
+    () =>
+      complianceByHour(window30)
+        .filter((h) => h.shown > 0)
+        .map((h) => ({ hour: `${h.hour}h`, rate: h.rate, shown: h.shown })),
+    [window30]
+  );
+  const medianResponse = useMemo(() => medianResponseSec(window30), [window30]);
+
+  /* =========================
+   * Stats paging (mois / année, sur tout l'historique)
+   * ========================= */
+  const currentMonth = todayStats.dayKey.slice(0, 7);
+  const firstMonth = useMemo(() => monthsWithData(fullHistory)[0] ?? currentMonth, [fullHistory, currentMonth]);
+
+  const shiftStatsPeriod = (delta) => {
+    setStatsPeriod((p) => {
+      const [y, m] = p.month.split("-").map(Number);
+      const d = p.view === "year" ? new Date(y + delta, m - 1, 1) : new Date(y, m - 1 + delta, 1);
+      let month = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}`;
+      if (month > currentMonth) month = currentMonth;
+      if (month < firstMonth) month = firstMonth;
+      return { ...p, month };
+    });
+  };
+
+  const periodKey = (ym) => (statsPeriod.view === "year" ? ym.slice(0, 4) : ym);
+  const canPagePrev = periodKey(statsPeriod.month) > periodKey(firstMonth);
+  const canPageNext = periodKey(statsPeriod.month) < periodKey(currentMonth);
+
+  const periodLabel =
+    statsPeriod.view === "year"
+      ? statsPeriod.month.slice(0, 4)
+      : new Date(`${statsPeriod.month}-01T12:00:00`).toLocaleDateString("fr-FR", { month: "long", year: "numeric" });
+
+  const periodChart = useMemo(() => {
+    if (statsPeriod.view === "year") {
+      return monthlyTotals(fullHistory, statsPeriod.month.slice(0, 4)).map((r) => ({
+        day: new Date(`${r.month}-01T12:00:00`).toLocaleDateString("fr-FR", { month: "short" }),
+        water: Math.round(r.waterMl / 100) / 10,
+        eye: r.eyeBreaks,
+        stretch: r.stretches,
+        wake: r.wakeRoutines,
+        sleep: r.sleepRoutines,
+        days: r.days
+      }));
+    }
+    return entriesForMonth(fullHistory, statsPeriod.month).map(toChartRow);
+  }, [fullHistory, statsPeriod, targetDefaults]);
+
+  const periodWaterMl = useMemo(
+    () =>
+      sum(
+        statsPeriod.view === "year"
+          ? fullHistory.filter((e) => e.dayKey.startsWith(`${statsPeriod.month.slice(0, 4)}-`))
+          : entriesForMonth(fullHistory, statsPeriod.month),
+        "waterMl"
+      ),
+    [fullHistory, statsPeriod]
+  );
+
+  /* =========================
+   * Streaks (règles configurables, une série par habitude)
+   * ========================= */
+  const streaks = useMemo(
+    () => computeAllStreaks(fullHistory, streakSettings, (e) => isGoalMet(e, dayTargets(e, targetDefaults))),
+    [fullHistory, streakSettings, targetDefaults]
+  );
+  const streak = streaks.main.current;
+
+  // best-ever records survive history trimming
+  useEffect(() => {
+    setStreakRecords((r) => mergeBestRecords(r, streaks, streakSettings.rule));
+  }, [streaks, streakSettings.rule]);
+
+  const bestStreak = (id) => {
+    const live = id === streakSettings.rule ? streaks.main : streaks[id];
+    return Math.max(streakRecords[id] ?? 0, live?.best ?? 0);
+  };
 
   // ✅ FIX: mémoiser tooltipStyle une seule fois et l'utiliser dans StatsScreen
   const tooltipStyle = useMemo(
@@ -725,48 +1644,253 @@ export default function ZenhydratationApp() {
   /* =========================
    * Hydration actions (ml)
    * ========================= */
+  // pas de plafond à l'objectif : tout ce qui est bu est enregistré
   const addWater = () => {
-    const nextMl = Math.min(dailyGoalMl, waterMl + cupMl);
-    if (nextMl !== waterMl) {
-      setWaterMl(nextMl);
-      if (soundEnabled) playTone({ freq: 740 });
+    const ml = Number(beverage.defaultMl) || 0;
+    if (ml <= 0) return;
+    const drink = createDrink({ ml, beverage: beverage.id, coef: beverage.coef });
+    setTodayStats((s) => withDrinks(s, [...(s.drinks ?? []), drink]));
+    if (soundEnabled) playCue(cueFor(sound, "drink"));
+    if (hapticsEnabled) {
+      const reachesGoal = waterMl < todayGoalMl && waterMl + effectiveMl(drink) >= todayGoalMl;
+      haptic(reachesGoal ? "goal" : "drink");
     }
   };
 
+  // undo = retire exactement la dernière prise enregistrée
   const removeWater = () => {
-    const nextMl = Math.max(0, waterMl - cupMl);
-    if (nextMl !== waterMl) {
-      setWaterMl(nextMl);
-      if (soundEnabled) playTone({ freq: 520, gain: 0.02 });
+    const last = lastDrink(todayStats.drinks);
+    if (!last) return;
+    setTodayStats((s) => withDrinks(s, removeDrink(s.drinks ?? [], last.id)));
+    if (editingDrink?.id === last.id) setEditingDrink(null);
+    if (soundEnabled) playTone({ freq: 520, gain: 0.02 });
+  };
+
+  const deleteDrink = (id) => {
+    setTodayStats((s) => withDrinks(s, removeDrink(s.drinks ?? [], id)));
+    if (editingDrink?.id === id) setEditingDrink(null);
+  };
+
+  const startEditDrink = (d) => {
+    setEditingDrink({ id: d.id, time: formatClock(d.at), ml: String(d.ml), beverage: d.beverage });
+  };
+
+  const saveEditDrink = () => {
+    if (!editingDrink) return;
+    const ml = clampInt(editingDrink.ml, 0, 5000);
+    if (ml <= 0) {
+      deleteDrink(editingDrink.id);
+      return;
+    }
+    setTodayStats((s) => {
+      const current = (s.drinks ?? []).find((d) => d.id === editingDrink.id);
+      if (!current) return s;
+      const patch = { ml, at: withClock(current.at, editingDrink.time) };
+      // changer de boisson reprend son coefficient actuel, sinon on garde celui figé à la prise
+      if (editingDrink.beverage && editingDrink.beverage !== current.beverage) {
+        patch.beverage = editingDrink.beverage;
+        patch.coef = resolveBeverage(editingDrink.beverage, beverageOpts).coef;
+      }
+      return withDrinks(s, updateDrink(s.drinks, current.id, patch));
+    });
+    setEditingDrink(null);
+  };
+
+  /* =========================
+   * Goal (versionné par jour)
+   * ========================= */
+  const changeDailyGoal = (goalMl) => {
+    const v = clampInt(goalMl, GOAL_MIN_ML, GOAL_MAX_ML);
+    setGoalVersions((versions) => setGoalForDay(versions, todayStats.dayKey, v, dailyGoalMl));
+    setDailyGoalMl(v);
+  };
+
+  const toggleDayBoost = (key) => {
+    setTodayStats((s) => ({ ...s, [key]: !s[key] }));
+  };
+
+  /* =========================
+   * Export / import
+   * ========================= */
+  const exportJson = () => {
+    const backup = buildBackup({ state: persistedState, history, archive, images: exerciseImages });
+    downloadFile(backupFileName("json"), JSON.stringify(backup, null, 2), "application/json");
+  };
+
+  const exportCsv = () => {
+    downloadFile(backupFileName("csv"), historyToCsv(fullHistory), "text/csv");
+  };
+
+  const readImportFile = async (file) => {
+    if (!file) return;
+    try {
+      const data = parseBackupFile(await file.text(), file.name);
+      setImportDraft({ fileName: file.name, data, mode: "merge" });
+      setImportMessage(null);
+    } catch (e) {
+      setImportDraft(null);
+      setImportMessage({ tone: "error", text: e instanceof BackupError ? e.message : "Lecture du fichier impossible." });
+    }
+  };
+
+  const confirmImport = () => {
+    if (!importDraft) return;
+    const { data, mode } = importDraft;
+    const current = todayStats.dayKey;
+
+    const next = applyImport(fullHistory, data.history, mode, current);
+    const { hot, moved } = splitHotDays(next);
+    const nextArchive = archiveEntries({}, moved);
+    setHistory(hot);
+    setArchive(nextArchive);
+    persist(STORAGE_KEYS.history, saveHistory(hot));
+    persist(STORAGE_KEYS.archive, saveArchive(nextArchive));
+
+    // Remplacer restaure aussi les réglages ; les stats du jour ne sont reprises que si la sauvegarde date d'aujourd'hui
+    if (mode === "replace" && data.images) setExerciseImages(data.images);
+    if (mode === "replace" && data.state) {
+      const sameDay = data.state.todayStats?.dayKey === current;
+      applySavedState(sameDay ? data.state : { ...data.state, todayStats, timers });
+    }
+
+    setImportDraft(null);
+    setImportMessage({ tone: "ok", text: `Import terminé : ${next.length} jours dans l'historique.` });
+  };
+
+  /* =========================
+   * Exercise library editor
+   * ========================= */
+  const editExercise = (ex) => {
+    setExerciseDraft(
+      ex
+        ? { id: ex.id, name: ex.name, desc: ex.desc, durationSec: ex.durationSec, image: ex.image, breathing: ex.breathing }
+        : { id: null, name: "", desc: "", durationSec: 30, image: "", breathing: "" }
+    );
+    setExerciseError(null);
+  };
+
+  const saveExerciseDraft = () => {
+    if (!exerciseDraft) return;
+    const { value, error } = validateExercise(exerciseDraft);
+    if (error) {
+      setExerciseError(error);
+      return;
     }
+    // une image importée ne va pas dans le catalogue (réécrit à chaque seconde) mais dans exerciseImages
+    const entry = { ...value, image: isStoredImage(value.image) ? "" : value.image };
+    const next = exerciseDraft.id
+      ? updateExercise(exerciseCatalog, exerciseTab, exerciseDraft.id, entry)
+      : addExercise(exerciseCatalog, exerciseTab, entry);
+    if (next === exerciseCatalog) {
+      setExerciseError(`${MAX_EXERCISES_PER_CATEGORY} exercices maximum par catégorie.`);
+      return;
+    }
+    const list = next[exerciseTab];
+    const id = exerciseDraft.id ?? list[list.length - 1].id;
+    const images = setStoredImage(exerciseImages, id, value.image);
+    if (imagesBytes(images) > IMAGES_TOTAL_MAX_BYTES) {
+      setExerciseError(
+        `Plus de place pour les images importées (${IMAGES_TOTAL_MAX_BYTES / 1_000_000} Mo au total) : retirez-en une ou utilisez un lien.`
+      );
+      return;
+    }
+    setExerciseCatalog(next);
+    setExerciseImages(images);
+    setExerciseDraft(null);
+    setExerciseError(null);
+  };
+
+  const pickExerciseImage = async (file) => {
+    if (!file) return;
+    if (!file.type.startsWith("image/") || file.size > IMAGE_MAX_BYTES * 0.75) {
+      setExerciseError("Choisissez une image de moins de 150 Ko.");
+      return;
+    }
+    const image = await new Promise((resolve) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result ?? ""));
+      reader.onerror = () => resolve("");
+      reader.readAsDataURL(file);
+    });
+    setExerciseDraft((d) => (d ? { ...d, image } : d));
+    setExerciseError(image ? null : "Lecture de l’image impossible.");
+  };
+
+  /* =========================
+   * Routine builder
+   * ========================= */
+  const editRoutine = (rt) => {
+    setRoutineDraft(rt ? { id: rt.id, name: rt.name, steps: rt.steps.map((st) => ({ ...st })) } : { id: null, name: "", steps: [] });
+    setRoutineError(null);
+  };
+
+  const addRoutineStep = () => {
+    const first = EXERCISE_CATEGORIES.map((c) => exercises[c][0]).find(Boolean);
+    setRoutineDraft((d) =>
+      d && d.steps.length < MAX_STEPS
+        ? {
+            ...d,
+            steps: [...d.steps, { exerciseId: first?.id ?? "", durationSec: first?.durationSec ?? 30, repeats: 1, restSec: 0 }]
+          }
+        : d
+    );
+  };
+
+  const updateRoutineStep = (index, patch) => {
+    setRoutineDraft((d) => (d ? { ...d, steps: d.steps.map((st, i) => (i === index ? { ...st, ...patch } : st)) } : d));
+  };
+
+  const moveRoutineStep = (index, delta) => {
+    setRoutineDraft((d) => {
+      const j = index + delta;
+      if (!d || j < 0 || j >= d.steps.length) return d;
+      const steps = [...d.steps];
+      [steps[index], steps[j]] = [steps[j], steps[index]];
+      return { ...d, steps };
+    });
   };
 
-  const completeEyeBreak = () => {
-    setTodayStats((s) => ({ ...s, eyeBreaks: s.eyeBreaks + 1 }));
-    setShowNotif(null);
-    if (soundEnabled) playTone({ freq: 880 });
+  const removeRoutineStep = (index) => {
+    setRoutineDraft((d) => (d ? { ...d, steps: d.steps.filter((_, i) => i !== index) } : d));
   };
 
-  const completeStretch = () => {
-    setTodayStats((s) => ({ ...s, stretches: s.stretches + 1 }));
-    setShowNotif(null);
-    if (soundEnabled) playTone({ freq: 660 });
+  const saveRoutineDraft = () => {
+    if (!routineDraft) return;
+    const { value, error } = validateRoutine(routineDraft, exerciseCatalog);
+    if (error) {
+      setRoutineError(error);
+      return;
+    }
+    setCustomRoutines((rs) => saveRoutine(rs, routineDraft.id, value));
+    setRoutineDraft(null);
+    setRoutineError(null);
   };
 
   /* =========================
    * Routine player
    * ========================= */
-  const startQueue = (type, queue, startIndex = 0) => {
+  // meta : { routineId, name } pour une routine perso (type "custom")
+  const startQueue = (type, queue, startIndex = 0, meta = {}) => {
+    // tous les exercices de la catégorie désactivés : rien à jouer
+    if (!queue[startIndex]) return;
     setActiveRoutine({
       type,
       queue,
       index: startIndex,
       remainingSec: queue[startIndex].durationSec,
-      paused: false
+      paused: false,
+      ...meta
     });
   };
 
-  const stopRoutine = () => setActiveRoutine(null);
+  const startCustomRoutine = (routine) => {
+    startQueue("custom", buildRoutineQueue(routine, catalogWithImages), 0, { routineId: routine.id, name: routine.name });
+  };
+
+  const stopRoutine = () => {
+    stopSpeaking();
+    setActiveRoutine(null);
+  };
 
   const toggleRoutinePause = () => {
     setActiveRoutine((r) => (r ? { ...r, paused: !r.paused } : r));
@@ -781,7 +1905,7 @@ export default function ZenhydratationApp() {
     });
   };
 
-  const creditCompletion = (type) => {
+  const creditCompletion = (type, routineId) => {
     const totalKeyMap = {
       eye: "eyeBreaks",
       stretch: "stretches",
@@ -789,10 +1913,15 @@ export default function ZenhydratationApp() {
       sleep: "sleepRoutines"
     };
     setTodayStats((s) => {
+      if (type === "custom") {
+        const routines = s.routines ?? {};
+        return { ...s, routines: { ...routines, [routineId]: (routines[routineId] ?? 0) + 1 } };
+      }
       const totalKey = totalKeyMap[type];
       return { ...s, [totalKey]: (s[totalKey] ?? 0) + 1 };
     });
-    if (soundEnabled) playTone({ freq: type === "sleep" ? 520 : 740, durationMs: 220 });
+    if (soundEnabled) playCue(cueFor(sound, "done"));
+    if (voiceEnabledFor(voice, type)) speak(completionAnnouncement(), voice);
   };
 
   useEffect(() => {
@@ -806,11 +1935,14 @@ export default function ZenhydratationApp() {
         if (r.remainingSec <= 1) {
           const step = r.queue[r.index];
 
+          // chaque étape est comptée dans la catégorie de son exercice (routine perso : catégories mélangées)
           setTodayStats((s) => {
             const details = s.details ?? { eye: {}, stretch: {}, wake: {}, sleep: {} };
-            const bucket = { ...(details[r.type] ?? {}) };
-            if (step?.id) bucket[step.id] = (bucket[step.id] ?? 0) + 1;
-            return { ...s, details: { ...details, [r.type]: bucket } };
+            const group = step?.category ?? r.type;
+            if (!step?.id || step.id === REST_STEP_ID || !details[group]) return s;
+            const bucket = { ...details[group] };
+            bucket[step.id] = (bucket[step.id] ?? 0) + 1;
+            return { ...s, details: { ...details, [group]: bucket } };
           });
 
           const nextIndex = r.index + 1;
@@ -818,7 +1950,7 @@ export default function ZenhydratationApp() {
             return { ...r, index: nextIndex, remainingSec: r.queue[nextIndex].durationSec };
           }
 
-          creditCompletion(r.type);
+          creditCompletion(r.type, r.routineId);
           return null;
         }
 
@@ -827,7 +1959,64 @@ export default function ZenhydratationApp() {
     }, 1000);
 
     return () => clearInterval(id);
-  }, [activeRoutine, soundEnabled]);
+  }, [activeRoutine, soundEnabled, sound, voice]);
+
+  /* =========================
+   * Sound engine
+   * ========================= */
+  useEffect(() => {
+    setMasterVolume(sound.volume);
+  }, [sound.volume]);
+
+  const routineQueue = activeRoutine?.queue;
+  const routineIndex = activeRoutine?.index;
+
+  // son + vibration à chaque début d'étape (lancement, fin du minuteur ou « Passer »), hors de l'updater du minuteur
+  useEffect(() => {
+    if (!routineQueue) return;
+    if (soundEnabled) playCue(cueFor(sound, "step"));
+    if (hapticsEnabled) haptic("step");
+  }, [routineQueue, routineIndex]);
+
+  // ambiance sonore pendant la routine Coucher, coupée en pause
+  const ambientKind =
+    soundEnabled && activeRoutine?.type === "sleep" && !activeRoutine.paused && sound.ambient !== "off" ? sound.ambient : null;
+  useEffect(() => {
+    if (!ambientKind) return;
+    startAmbient(ambientKind);
+    return () => stopAmbient();
+  }, [ambientKind]);
+
+  /* =========================
+   * Voice guidance (routine player)
+   * ========================= */
+  useEffect(() => {
+    setVoices(listVoices());
+    return onVoicesChanged(() => setVoices(listVoices()));
+  }, []);
+
+  const lastCountdownRef = useRef(null);
+
+  // annonce de chaque étape (la file ne change qu'au lancement d'une routine, l'index à chaque étape)
+  useEffect(() => {
+    lastCountdownRef.current = null;
+    if (!activeRoutine || !voiceEnabledFor(voice, activeRoutine.type)) return;
+    speak(stepAnnouncement(routineQueue[routineIndex], routineIndex, routineQueue.length, REST_STEP_ID), voice);
+  }, [routineQueue, routineIndex]);
+
+  // décompte des dernières secondes ; une reprise après pause ne répète pas le même chiffre
+  useEffect(() => {
+    if (!activeRoutine || activeRoutine.paused || !voiceEnabledFor(voice, activeRoutine.type)) return;
+    const text = countdownAnnouncement(voice, activeRoutine.queue[activeRoutine.index], activeRoutine.remainingSec);
+    const key = `${activeRoutine.index}:${activeRoutine.remainingSec}`;
+    if (!text || lastCountdownRef.current === key) return;
+    lastCountdownRef.current = key;
+    speak(text, voice);
+  }, [activeRoutine, voice]);
+
+  useEffect(() => {
+    if (activeRoutine?.paused) stopSpeaking();
+  }, [activeRoutine?.paused]);
 
   /* =========================
    * Screens
@@ -841,10 +2030,23 @@ export default function ZenhydratationApp() {
             <div className={cn("text-[13px] mt-1", theme.textSecondary)}>
               Hydratation, respiration, pauses yeux & étirements — pour un esprit clair et un corps léger.
             </div>
+            {timers.pausedBy === "idle" ? (
+              <div className={cn("text-[12px] mt-1", theme.textMuted)}>
+                Absence détectée depuis {formatClock(timers.idleSince)} : rappels en pause jusqu’à votre retour
+              </div>
+            ) : schedule.enabled && (
+              <div className={cn("text-[12px] mt-1", theme.textMuted)}>
+                {timers.pausedBy === "schedule"
+                  ? `Hors horaires : rappels en pause${scheduleResumeAt ? ` jusqu’à ${formatScheduleTime(scheduleResumeAt)}` : ""}`
+                  : scheduleOverrideUntil > now
+                    ? `Rappels forcés jusqu’à ${formatClock(scheduleOverrideUntil)}`
+                    : null}
+              </div>
+            )}
           </div>
 
           <button
-            onClick={() => setIsPaused((p) => !p)}
+            onClick={togglePause}
             className={cn(
               "h-11 w-11 rounded-2xl flex items-center justify-center transition",
               theme.cardSoft,
@@ -861,6 +2063,71 @@ export default function ZenhydratationApp() {
           </button>
         </div>
 
+        {migrationIssue && (
+          <div
+            className={cn(
+              "mt-2 rounded-[22px] p-4 text-[12px] leading-snug border",
+              theme.id === "neo" ? "border-rose-300/20 bg-rose-300/10" : "border-rose-500/20 bg-rose-500/10",
+              theme.textSecondary
+            )}
+            role="alert"
+          >
+            <div className={cn("text-[13px] font-semibold", theme.textPrimary)}>Anciennes données non récupérées</div>
+            <div className="mt-1">{migrationIssue.message}</div>
+            {migrationIssue.backupKey && (
+              <div className="mt-1">Une copie de l&apos;original est conservée ({migrationIssue.backupKey}).</div>
+            )}
+            <button
+              onClick={() => {
+                setMigrationIssue(null);
+                persist(STORAGE_KEYS.meta, acknowledgeMigrationFailure());
+              }}
+              className={cn("mt-2 text-[12px] font-semibold underline", theme.textPrimary)}
+            >
+              Compris
+            </button>
+          </div>
+        )}
+
+        {migrationMerge && (
+          <div
+            className={cn(
+              "mt-2 rounded-[22px] p-4 text-[12px] leading-snug border",
+              theme.id === "neo" ? "border-white/10 bg-white/5" : "border-black/10 bg-black/5",
+              theme.textSecondary
+            )}
+            role="status"
+          >
+            <div className={cn("text-[13px] font-semibold", theme.textPrimary)}>Anciennes données récupérées</div>
+            <div className="mt-1">
+              {migrationMerge.addedDays} jour{migrationMerge.addedDays > 1 ? "s" : ""} d&apos;historique retrouvé
+              {migrationMerge.addedDays > 1 ? "s" : ""} (version{migrationMerge.fromVersions.length > 1 ? "s" : ""}{" "}
+              {migrationMerge.fromVersions.map((v) => `v${v}`).join(", ")}) et ajouté{migrationMerge.addedDays > 1 ? "s" : ""}.
+              Copie de l&apos;original : {migrationMerge.backupKey}.
+            </div>
+            <button
+              onClick={() => setMigrationMerge(null)}
+              className={cn("mt-2 text-[12px] font-semibold underline", theme.textPrimary)}
+            >
+              OK
+            </button>
+          </div>
+        )}
+
+        {Object.keys(saveIssues).length > 0 && (
+          <div
+            className={cn(
+              "mt-2 rounded-[22px] p-4 text-[12px] leading-snug border",
+              theme.id === "neo" ? "border-rose-300/20 bg-rose-300/10" : "border-rose-500/20 bg-rose-500/10",
+              theme.textSecondary
+            )}
+            role="alert"
+          >
+            <div className={cn("text-[13px] font-semibold", theme.textPrimary)}>Données non enregistrées</div>
+            <div className="mt-1">{Object.values(saveIssues)[0]}</div>
+          </div>
+        )}
+
         {/* Energy / Avatar */}
         <div className={cn("mt-6 rounded-[28px] p-6", theme.card)}>
           <div className="flex items-center gap-4">
@@ -895,18 +2162,65 @@ export default function ZenhydratationApp() {
           <div className="flex items-end justify-between">
             <div className={cn("text-[28px] font-semibold leading-none", theme.textPrimary)}>Hydratation</div>
             <div className={cn("text-[16px] font-semibold", theme.textSecondary)}>
-              {waterMl} / {dailyGoalMl} ml
+              {waterMl} / {todayGoalMl} ml
             </div>
           </div>
 
           <div className={cn("mt-2 text-[12px]", theme.textMuted)}>
             Dose: {cupMl}ml • {waterCount} dose{waterCount > 1 ? "s" : ""} • {Math.max(0, Math.min(100, hydrationPct))}% objectif
+            {todayStats.rawMl !== waterMl ? ` • ${todayStats.rawMl}ml bus` : ""}
+            {overGoalMl > 0 ? ` • +${overGoalMl}ml au-delà` : ""}
+          </div>
+          {waterPlan && !isPaused && (
+            <div className={cn("mt-1 text-[12px]", theme.textMuted)}>Prochain rappel vers {formatClock(waterPlan.at)}</div>
+          )}
+
+          {overCeiling && (
+            <div
+              className={cn(
+                "mt-3 rounded-2xl px-4 py-3 text-[12px] leading-snug border",
+                theme.id === "neo" ? "border-amber-300/20 bg-amber-300/10" : "border-amber-500/20 bg-amber-500/10",
+                theme.textSecondary
+              )}
+              role="status"
+            >
+              Vous avez déjà bu {todayStats.rawMl}ml aujourd&apos;hui (repère : {safetyCeilingMl}ml). Pas d&apos;inquiétude,
+              mais ralentissez un peu et buvez surtout selon votre soif.
+            </div>
+          )}
+
+          {/* Boisson */}
+          <div className="mt-4 flex gap-2 overflow-x-auto pb-1">
+            {BEVERAGES.map((b) => {
+              const def = resolveBeverage(b.id, beverageOpts);
+              const selected = b.id === beverageId;
+              return (
+                <button
+                  key={b.id}
+                  onClick={() => setBeverageId(b.id)}
+                  className={cn(
+                    "shrink-0 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                    selected
+                      ? theme.id === "neo"
+                        ? "border-white/20 bg-white/[0.10]"
+                        : "border-black/15 bg-black/[0.04]"
+                      : theme.id === "neo"
+                        ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                        : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                    theme.textPrimary
+                  )}
+                  title={`${def.label} • ${def.defaultMl}ml • hydratation ×${def.coef}`}
+                >
+                  <span aria-hidden="true">{def.icon}</span> {def.label}
+                </button>
+              );
+            })}
           </div>
 
           <div className="mt-5">
             <WaterGlasses
               totalMl={waterMl}
-              goalMl={dailyGoalMl}
+              goalMl={todayGoalMl}
               cupMl={cupMl}
               onAdd={addWater}
               onRemove={removeWater}
@@ -924,9 +2238,114 @@ export default function ZenhydratationApp() {
                   : "border border-black/10 bg-black/[0.03] hover:bg-black/[0.05]"
               )}
             >
-              <span className={theme.textPrimary}>+ Ajouter une dose</span>
+              <span className={theme.textPrimary}>
+                + {beverage.icon} {beverage.label} {beverage.defaultMl}ml
+                {beverage.coef !== 1 ? ` (≈${Math.round(beverage.defaultMl * beverage.coef)}ml effectifs)` : ""}
+              </span>
             </button>
           </div>
+
+          {/* Journal du jour */}
+          <div className="mt-5">
+            <div className="flex items-center justify-between">
+              <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Aujourd&apos;hui</div>
+              {todayDrinks.length > 0 && (
+                <button
+                  onClick={removeWater}
+                  className={cn("flex items-center gap-1 text-[12px] font-semibold transition", theme.textMuted)}
+                  title="Annuler la dernière prise"
+                >
+                  <Undo2 className="h-4 w-4" />
+                  Annuler la dernière
+                </button>
+              )}
+            </div>
+
+            {todayDrinks.length === 0 ? (
+              <div className={cn("mt-2 text-[12px]", theme.textMuted)}>Aucune prise enregistrée.</div>
+            ) : (
+              <div className="mt-2 space-y-2 max-h-[220px] overflow-y-auto pr-1">
+                {todayDrinks.map((d) => (
+                  <DrinkRow
+                    key={d.id}
+                    theme={theme}
+                    drink={d}
+                    beverage={resolveBeverage(d.beverage, beverageOpts)}
+                    beverageOpts={beverageOpts}
+                    editing={editingDrink?.id === d.id ? editingDrink : null}
+                    onEdit={() => startEditDrink(d)}
+                    onDelete={() => deleteDrink(d.id)}
+                    onDraftChange={(patch) => setEditingDrink((e) => (e ? { ...e, ...patch } : e))}
+                    onSave={saveEditDrink}
+                    onCancel={() => setEditingDrink(null)}
+                  />
+                ))}
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Focus */}
+        <div className={cn("mt-6 rounded-[28px] p-6", theme.card)}>
+          <div className="flex items-end justify-between">
+            <div className={cn("text-[28px] font-semibold leading-none", theme.textPrimary)}>Focus</div>
+            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
+              {focusSettings.workMin} / {focusSettings.shortMin} / {focusSettings.longMin} min
+            </div>
+          </div>
+
+          {!focus ? (
+            <>
+              <div className={cn("mt-2 text-[12px]", theme.textMuted)}>
+                Cycles de concentration : les pauses yeux et étirements sont regroupées sur les pauses.
+                {todayStats.focusSessions > 0 ? ` ${todayStats.focusSessions} session${todayStats.focusSessions > 1 ? "s" : ""} aujourd’hui.` : ""}
+              </div>
+              <SurfaceButton onClick={startFocusSession} theme={theme} className="mt-4 w-full text-center" title="Démarrer">
+                <div className="flex items-center justify-center gap-2">
+                  <Play className={cn("h-4 w-4", theme.id === "neo" ? "text-white/85" : "text-gray-700")} />
+                  <span className={cn("text-[14px] font-semibold", theme.textPrimary)}>Démarrer une session</span>
+                </div>
+              </SurfaceButton>
+            </>
+          ) : (
+            <>
+              <div className="mt-4 flex items-end justify-between">
+                <div>
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>
+                    {FOCUS_PHASE_LABELS[focus.phase]}
+                    {focus.pausedLeft !== null ? " · en pause" : ""}
+                  </div>
+                  <div className={cn("mt-1 text-[40px] font-semibold leading-none tabular-nums", theme.textPrimary)}>
+                    {formatTime(focusRemainingSec(focus, now))}
+                  </div>
+                </div>
+                <div className={cn("text-right text-[12px]", theme.textMuted)}>
+                  Session {focus.completed + (isBreak(focus) ? 0 : 1)}
+                  <br />
+                  pause longue toutes les {focusSettings.longEvery}
+                </div>
+              </div>
+
+              <div className="mt-4 grid grid-cols-3 gap-3">
+                <SurfaceButton
+                  onClick={toggleFocusPause}
+                  theme={theme}
+                  className="text-center"
+                  title={focus.pausedLeft !== null ? "Reprendre" : "Pause"}
+                >
+                  <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>
+                    {focus.pausedLeft !== null ? "Reprendre" : "Pause"}
+                  </span>
+                </SurfaceButton>
+                <SurfaceButton onClick={skipFocus} theme={theme} className="text-center" title="Passer la phase">
+                  <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>Passer</span>
+                </SurfaceButton>
+                <SurfaceButton onClick={stopFocusSession} theme={theme} className="text-center" title="Arrêter">
+                  <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>Arrêter</span>
+                </SurfaceButton>
+              </div>
+            </>
+          )}
         </div>
 
         {/* Exercices */}
@@ -979,6 +2398,20 @@ export default function ZenhydratationApp() {
               }
               onClick={() => startQueue("sleep", exercises.sleep)}
             />
+
+            {customRoutines.list.map((rt) => (
+              <LargeActionTile
+                key={rt.id}
+                theme={theme}
+                title={rt.name}
+                subtitle={`${rt.steps.length} étape${rt.steps.length > 1 ? "s" : ""} • ${formatTime(routineDurationSec(rt, exerciseCatalog))}`}
+                glow="cyan"
+                icon={
+                  theme.id === "neo" ? <Play className="h-6 w-6 text-white/85" /> : <Play className="h-6 w-6 text-cyan-600" />
+                }
+                onClick={() => startCustomRoutine(rt)}
+              />
+            ))}
           </div>
         </div>
 
@@ -995,6 +2428,17 @@ export default function ZenhydratationApp() {
     const workH = Math.floor(todayStats.workTime / 3600);
     const workM = Math.floor((todayStats.workTime % 3600) / 60);
 
+    // routines perso terminées, par id (les routines supprimées gardent leur nom)
+    const routineWeek = {};
+    for (const d of window7) {
+      for (const [id, n] of Object.entries(d.routines ?? {})) routineWeek[id] = (routineWeek[id] ?? 0) + n;
+    }
+    const routineRows = Object.entries(routineWeek).map(([id, week]) => ({
+      id,
+      week,
+      today: todayStats.routines?.[id] ?? 0
+    }));
+
     const renderDetail = (groupKey, title) => {
       const entries = Object.entries(todayStats.details?.[groupKey] ?? {});
       return (
@@ -1021,8 +2465,43 @@ export default function ZenhydratationApp() {
         <div className="flex items-end justify-between">
           <div className={cn("text-[28px] font-semibold", theme.textPrimary)}>Statistiques</div>
           <div className={cn("rounded-2xl px-4 py-2", theme.cardSoft)}>
-            <span className={cn("text-[13px] font-semibold", theme.textSecondary)}>🔥 {streak}j</span>
+            <span
+              className={cn("text-[13px] font-semibold", theme.textSecondary)}
+              title={STREAK_RULES.find((r) => r.id === streakSettings.rule)?.label}
+            >
+              🔥 {streak}j
+            </span>
+          </div>
+        </div>
+
+        <div className={cn("rounded-[28px] p-6", theme.card)}>
+          <div className="flex items-center justify-between">
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Séries</div>
+            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
+              Record 🔥 {bestStreak(streakSettings.rule)}j
+            </div>
+          </div>
+
+          <div className="mt-4 space-y-2">
+            {HABITS.map((h) => (
+              <div key={h.id} className="flex items-center justify-between">
+                <div className={cn("text-[13px] font-medium", theme.textSecondary)}>
+                  <span aria-hidden="true">{h.icon}</span> {h.label}
+                </div>
+                <div className={cn("text-[13px] font-semibold", theme.textPrimary)}>
+                  {streaks[h.id].current}j
+                  {streaks[h.id].frozen > 0 ? ` (❄️ ${streaks[h.id].frozen})` : ""}
+                  <span className={cn("ml-2 font-medium", theme.textMuted)}>record {bestStreak(h.id)}j</span>
+                </div>
+              </div>
+            ))}
           </div>
+
+          {streakSettings.freezesPerMonth > 0 && (
+            <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+              ❄️ = jours manqués couverts par un gel ({streakSettings.freezesPerMonth}/mois).
+            </div>
+          )}
         </div>
 
         <div className={cn("rounded-[28px] p-6", theme.card)}>
@@ -1036,25 +2515,56 @@ export default function ZenhydratationApp() {
                 {workH}h {workM}m
               </div>
             </div>
+            <div className="ml-auto text-right">
+              <div className={cn("text-[13px] font-semibold", theme.textMuted)}>Sessions focus</div>
+              <div className={cn("text-[26px] font-semibold", theme.textPrimary)}>{todayStats.focusSessions ?? 0}</div>
+              <div className={cn("text-[12px]", theme.textMuted)}>{Math.round((todayStats.focusSec ?? 0) / 60)} min</div>
+            </div>
           </div>
+
+          {chart7.some((d) => d.focusMin > 0) && (
+            <div className="mt-4" style={{ width: "100%", height: 160 }}>
+              <ResponsiveContainer>
+                <BarChart data={chart7}>
+                  <XAxis
+                    dataKey="day"
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <YAxis
+                    allowDecimals={false}
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Bar isAnimationActive={false} dataKey="workMin" name="Travail (min)" fill="rgba(148, 163, 184, 0.45)" />
+                  <Bar isAnimationActive={false} dataKey="focusMin" name="Focus (min)" fill="rgba(251, 113, 133, 0.55)" />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          )}
         </div>
 
         <div className={cn("rounded-[28px] p-6", theme.card)}>
           <div className="flex items-center justify-between">
-            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Graphique 7 jours</div>
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Eau par heure</div>
             <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
-              Eau {Math.round(sum(window7, "waterMl") / 100) / 10}L
+              {(todayStats.drinks ?? []).length} prise{(todayStats.drinks ?? []).length > 1 ? "s" : ""}
             </div>
           </div>
 
-          <div className="mt-4" style={{ width: "100%", height: 260 }}>
-            {chart7.length === 0 ? (
-              <div className={cn("text-[13px]", theme.textMuted)}>Aucune donnée pour l’instant.</div>
+          <div className="mt-4" style={{ width: "100%", height: 200 }}>
+            {(todayStats.drinks ?? []).length === 0 ? (
+              <div className={cn("text-[13px]", theme.textMuted)}>Aucune prise aujourd&apos;hui.</div>
             ) : (
               <ResponsiveContainer>
-                <BarChart data={chart7}>
+                <BarChart data={chartHours}>
                   <XAxis
-                    dataKey="day"
+                    dataKey="hour"
                     tick={{
                       fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
                       fontSize: 12
@@ -1068,16 +2578,8 @@ export default function ZenhydratationApp() {
                     }}
                   />
                   <Tooltip contentStyle={tooltipStyle} />
-                  <Legend
-                    wrapperStyle={{
-                      color: theme.id === "neo" ? "rgba(255,255,255,0.7)" : "rgba(15,23,42,0.65)"
-                    }}
-                  />
-                  <Bar isAnimationActive={false} dataKey="water" name={`Eau (doses ${cupMl}ml)`} fill="rgba(34, 211, 238, 0.60)" />
-                  <Bar isAnimationActive={false} dataKey="eye" name="Yeux" fill="rgba(167, 139, 250, 0.60)" />
-                  <Bar isAnimationActive={false} dataKey="stretch" name="Étirements" fill="rgba(52, 211, 153, 0.60)" />
-                  <Bar isAnimationActive={false} dataKey="wake" name="Réveil" fill="rgba(251, 191, 36, 0.60)" />
-                  <Bar isAnimationActive={false} dataKey="sleep" name="Coucher" fill="rgba(129, 140, 248, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="ml" name="Hydratation (ml)" fill="rgba(34, 211, 238, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="rawMl" name="Volume bu (ml)" fill="rgba(148, 163, 184, 0.45)" />
                 </BarChart>
               </ResponsiveContainer>
             )}
@@ -1086,16 +2588,27 @@ export default function ZenhydratationApp() {
 
         <div className={cn("rounded-[28px] p-6", theme.card)}>
           <div className="flex items-center justify-between">
-            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Graphique 30 jours</div>
-            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>Jours: {window30.length}</div>
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Graphique 7 jours</div>
+            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
+              Eau {Math.round(sum(window7, "waterMl") / 100) / 10}L
+              {sum(window7, "rawMl") > sum(window7, "waterMl")
+                ? ` (bu ${Math.round(sum(window7, "rawMl") / 100) / 10}L)`
+                : ""}
+            </div>
           </div>
 
+          {chart7.length > 0 && (
+            <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+              Objectif atteint {goalMetCount(chart7)}/{chart7.length} jours (✓ = objectif du jour atteint)
+            </div>
+          )}
+
           <div className="mt-4" style={{ width: "100%", height: 260 }}>
-            {chart30.length === 0 ? (
-              <div className={cn("text-[13px]", theme.textMuted)}>Aucune donnée sur 30 jours.</div>
+            {chart7.length === 0 ? (
+              <div className={cn("text-[13px]", theme.textMuted)}>Aucune donnée pour l’instant.</div>
             ) : (
               <ResponsiveContainer>
-                <BarChart data={chart30}>
+                <BarChart data={chart7}>
                   <XAxis
                     dataKey="day"
                     tick={{
@@ -1116,7 +2629,52 @@ export default function ZenhydratationApp() {
                       color: theme.id === "neo" ? "rgba(255,255,255,0.7)" : "rgba(15,23,42,0.65)"
                     }}
                   />
-                  <Bar isAnimationActive={false} dataKey="water" name={`Eau (doses ${cupMl}ml)`} fill="rgba(34, 211, 238, 0.55)" />
+                  <Bar isAnimationActive={false} dataKey="water" name="Eau (doses)" fill="rgba(34, 211, 238, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="eye" name="Yeux" fill="rgba(167, 139, 250, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="stretch" name="Étirements" fill="rgba(52, 211, 153, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="wake" name="Réveil" fill="rgba(251, 191, 36, 0.60)" />
+                  <Bar isAnimationActive={false} dataKey="sleep" name="Coucher" fill="rgba(129, 140, 248, 0.60)" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
+        </div>
+
+        <div className={cn("rounded-[28px] p-6", theme.card)}>
+          <div className="flex items-center justify-between">
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Graphique 30 jours</div>
+            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
+              Objectif ✓ {goalMetCount(chart30)}/{window30.length}j
+            </div>
+          </div>
+
+          <div className="mt-4" style={{ width: "100%", height: 260 }}>
+            {chart30.length === 0 ? (
+              <div className={cn("text-[13px]", theme.textMuted)}>Aucune donnée sur 30 jours.</div>
+            ) : (
+              <ResponsiveContainer>
+                <BarChart data={chart30}>
+                  <XAxis
+                    dataKey="day"
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <YAxis
+                    allowDecimals={false}
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Legend
+                    wrapperStyle={{
+                      color: theme.id === "neo" ? "rgba(255,255,255,0.7)" : "rgba(15,23,42,0.65)"
+                    }}
+                  />
+                  <Bar isAnimationActive={false} dataKey="water" name="Eau (doses)" fill="rgba(34, 211, 238, 0.55)" />
                   <Bar isAnimationActive={false} dataKey="eye" name="Yeux" fill="rgba(167, 139, 250, 0.55)" />
                   <Bar isAnimationActive={false} dataKey="stretch" name="Étirements" fill="rgba(52, 211, 153, 0.55)" />
                   <Bar isAnimationActive={false} dataKey="wake" name="Réveil" fill="rgba(251, 191, 36, 0.55)" />
@@ -1125,8 +2683,217 @@ export default function ZenhydratationApp() {
               </ResponsiveContainer>
             )}
           </div>
+
+          {overGoalDays.length > 0 && (
+            <div className={cn("mt-4 text-[12px] leading-snug", theme.textMuted)}>
+              ⚠️ {overGoalDays.length} jour{overGoalDays.length > 1 ? "s" : ""} à plus de{" "}
+              {Math.round(OVERHYDRATION_RATIO * 100)}% de l&apos;objectif :{" "}
+              {overGoalDays.map((d) => `${d.dayKey.slice(5)} (${Math.round((d.waterMl ?? 0) / 100) / 10}L)`).join(", ")}
+            </div>
+          )}
+        </div>
+
+        <div className={cn("rounded-[28px] p-6", theme.card)}>
+          <div className="flex items-center justify-between">
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Suivi des rappels</div>
+            <div className={cn("text-[13px] font-semibold", theme.textMuted)}>
+              {compliance30.shown} rappel{compliance30.shown > 1 ? "s" : ""} · 30j
+            </div>
+          </div>
+
+          {compliance30.shown === 0 ? (
+            <div className={cn("mt-4 text-[13px]", theme.textMuted)}>Aucun rappel sur 30 jours.</div>
+          ) : (
+            <>
+              <div className="mt-4 grid grid-cols-4 gap-2">
+                {["done", "snoozed", "skipped", "ignored"].map((k) => (
+                  <div key={k} className={cn("rounded-[22px] p-3 text-center", theme.cardSoft)}>
+                    <div className={cn("text-[18px] font-semibold", theme.textPrimary)}>
+                      {Math.round((compliance30[k] / compliance30.shown) * 100)}%
+                    </div>
+                    <div className={cn("text-[11px] font-semibold", theme.textMuted)}>{OUTCOME_LABELS[k]}</div>
+                  </div>
+                ))}
+              </div>
+
+              {medianResponse !== null && (
+                <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+                  Délai de réponse médian : {medianResponse < 60 ? `${medianResponse}s` : formatTime(medianResponse)}
+                </div>
+              )}
+
+              <div className={cn("mt-5 text-[13px] font-semibold", theme.textMuted)}>Taux de rappels faits par jour</div>
+              <div className="mt-2" style={{ width: "100%", height: 200 }}>
+                <ResponsiveContainer>
+                  <BarChart data={complianceDays}>
+                    <XAxis
+                      dataKey="day"
+                      tick={{
+                        fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                        fontSize: 12
+                      }}
+                    />
+                    <YAxis
+                      domain={[0, 100]}
+                      allowDecimals={false}
+                      tick={{
+                        fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                        fontSize: 12
+                      }}
+                    />
+                    <Tooltip contentStyle={tooltipStyle} />
+                    <Bar isAnimationActive={false} dataKey="rate" name="Faits (%)" fill="rgba(52, 211, 153, 0.60)" />
+                  </BarChart>
+                </ResponsiveContainer>
+              </div>
+
+              <div className={cn("mt-5 text-[13px] font-semibold", theme.textMuted)}>Taux par heure de la journée</div>
+              <div className="mt-2" style={{ width: "100%", height: 200 }}>
+                {complianceHours.length === 0 ? (
+                  <div className={cn("text-[13px]", theme.textMuted)}>Pas encore de détail horaire.</div>
+                ) : (
+                  <ResponsiveContainer>
+                    <BarChart data={complianceHours}>
+                      <XAxis
+                        dataKey="hour"
+                        tick={{
+                          fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                          fontSize: 12
+                        }}
+                      />
+                      <YAxis
+                        domain={[0, 100]}
+                        allowDecimals={false}
+                        tick={{
+                          fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                          fontSize: 12
+                        }}
+                      />
+                      <Tooltip contentStyle={tooltipStyle} />
+                      <Bar isAnimationActive={false} dataKey="rate" name="Faits (%)" fill="rgba(167, 139, 250, 0.60)" />
+                    </BarChart>
+                  </ResponsiveContainer>
+                )}
+              </div>
+            </>
+          )}
+        </div>
+
+        <div className={cn("rounded-[28px] p-6", theme.card)}>
+          <div className="flex items-center justify-between">
+            <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Historique</div>
+            <div className="flex gap-2">
+              {[
+                { id: "month", label: "Mois" },
+                { id: "year", label: "Année" }
+              ].map((v) => (
+                <button
+                  key={v.id}
+                  onClick={() => setStatsPeriod((p) => ({ ...p, view: v.id }))}
+                  className={cn(
+                    "rounded-2xl px-3 py-1 text-[12px] font-semibold transition border",
+                    statsPeriod.view === v.id
+                      ? theme.id === "neo"
+                        ? "border-white/20 bg-white/[0.10]"
+                        : "border-black/15 bg-black/[0.04]"
+                      : theme.id === "neo"
+                        ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                        : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                    theme.textPrimary
+                  )}
+                >
+                  {v.label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div className="mt-4 flex items-center justify-between">
+            <button
+              onClick={() => shiftStatsPeriod(-1)}
+              disabled={!canPagePrev}
+              className={cn("h-9 w-9 rounded-2xl flex items-center justify-center transition disabled:opacity-30", theme.cardSoft)}
+              aria-label="Période précédente"
+            >
+              <ChevronLeft className={cn("h-5 w-5", theme.id === "neo" ? "text-white/75" : "text-gray-600")} />
+            </button>
+            <div className="text-center">
+              <div className={cn("text-[14px] font-semibold capitalize", theme.textPrimary)}>{periodLabel}</div>
+              <div className={cn("text-[12px]", theme.textMuted)}>
+                Eau {Math.round(periodWaterMl / 100) / 10}L
+                {statsPeriod.view === "month" ? ` • objectif ✓ ${goalMetCount(periodChart)}/${periodChart.length}j` : ""}
+              </div>
+            </div>
+            <button
+              onClick={() => shiftStatsPeriod(1)}
+              disabled={!canPageNext}
+              className={cn("h-9 w-9 rounded-2xl flex items-center justify-center transition disabled:opacity-30", theme.cardSoft)}
+              aria-label="Période suivante"
+            >
+              <ChevronRight className={cn("h-5 w-5", theme.id === "neo" ? "text-white/75" : "text-gray-600")} />
+            </button>
+          </div>
+
+          <div className="mt-4" style={{ width: "100%", height: 240 }}>
+            {periodChart.every((r) => !r.water && !r.eye && !r.stretch && !r.wake && !r.sleep) ? (
+              <div className={cn("text-[13px]", theme.textMuted)}>Aucune donnée sur cette période.</div>
+            ) : (
+              <ResponsiveContainer>
+                <BarChart data={periodChart}>
+                  <XAxis
+                    dataKey="day"
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <YAxis
+                    allowDecimals={statsPeriod.view === "year"}
+                    tick={{
+                      fill: theme.id === "neo" ? "rgba(255,255,255,0.65)" : "rgba(15,23,42,0.60)",
+                      fontSize: 12
+                    }}
+                  />
+                  <Tooltip contentStyle={tooltipStyle} />
+                  <Legend
+                    wrapperStyle={{
+                      color: theme.id === "neo" ? "rgba(255,255,255,0.7)" : "rgba(15,23,42,0.65)"
+                    }}
+                  />
+                  <Bar
+                    isAnimationActive={false}
+                    dataKey="water"
+                    name={statsPeriod.view === "year" ? "Eau (L)" : "Eau (doses)"}
+                    fill="rgba(34, 211, 238, 0.55)"
+                  />
+                  <Bar isAnimationActive={false} dataKey="eye" name="Yeux" fill="rgba(167, 139, 250, 0.55)" />
+                  <Bar isAnimationActive={false} dataKey="stretch" name="Étirements" fill="rgba(52, 211, 153, 0.55)" />
+                </BarChart>
+              </ResponsiveContainer>
+            )}
+          </div>
         </div>
 
+        {routineRows.length > 0 && (
+          <div className={cn("rounded-[28px] p-6", theme.card)}>
+            <div className="flex items-center justify-between">
+              <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>Routines perso</div>
+              <div className={cn("text-[13px] font-semibold", theme.textMuted)}>aujourd&apos;hui · 7j</div>
+            </div>
+            <div className="mt-4 space-y-2">
+              {routineRows.map((row) => (
+                <div key={row.id} className="flex items-center justify-between">
+                  <div className={cn("text-[13px] font-medium", theme.textSecondary)}>{routineNamesById[row.id] ?? row.id}</div>
+                  <div className={cn("text-[13px] font-semibold", theme.textPrimary)}>
+                    {row.today}
+                    <span className={cn("ml-2 font-medium", theme.textMuted)}>{row.week}</span>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Détails (si vous souhaitez les afficher) */}
         {/* <div className="grid grid-cols-1 gap-4">
           {renderDetail("eye", "Détails yeux")}
@@ -1179,7 +2946,6 @@ export default function ZenhydratationApp() {
                   onClick={() => {
                     startQueue(showExercise, list);
                     setShowExercise(null);
-                    if (soundEnabled) playTone({ freq: showExercise === "wake" ? 740 : 520, durationMs: 200 });
                   }}
                   className={cn(
                     "w-full rounded-2xl px-4 py-3 font-semibold text-[15px] transition",
@@ -1194,13 +2960,17 @@ export default function ZenhydratationApp() {
             )}
 
             <div className="mt-4 space-y-3 max-h-[52vh] overflow-y-auto pr-1">
+              {list.length === 0 && (
+                <div className={cn("text-[13px]", theme.textMuted)}>
+                  Aucun exercice actif : ajoutez-en ou réactivez-en dans les réglages.
+                </div>
+              )}
               {list.map((ex) => (
                 <button
                   key={ex.id}
                   onClick={() => {
                     startQueue(showExercise, [ex], 0);
                     setShowExercise(null);
-                    if (soundEnabled) playTone({ freq: 600, durationMs: 120, gain: 0.02 });
                   }}
                   className={cn(
                     "w-full text-left rounded-[22px] p-4 transition active:scale-[0.99]",
@@ -1209,7 +2979,8 @@ export default function ZenhydratationApp() {
                   )}
                 >
                   <div className="flex items-start justify-between gap-3">
-                    <div className="min-w-0">
+                    {ex.image && <img src={ex.image} alt="" className="h-12 w-12 shrink-0 rounded-xl object-cover" />}
+                    <div className="min-w-0 flex-1">
                       <div className={cn("text-[15px] font-semibold truncate", theme.textPrimary)}>{ex.name}</div>
                       <div className={cn("mt-1 text-[13px] leading-snug", theme.textMuted)}>{ex.desc}</div>
                     </div>
@@ -1240,6 +3011,7 @@ export default function ZenhydratationApp() {
     if (!activeRoutine) return null;
 
     const step = activeRoutine.queue[activeRoutine.index];
+    const breathingPattern = step?.breathing ? patternById(step.breathing, breathing.custom) : null;
     const totalSteps = activeRoutine.queue.length;
     const stepNo = activeRoutine.index + 1;
 
@@ -1254,13 +3026,15 @@ export default function ZenhydratationApp() {
             <div className="flex items-start justify-between">
               <div>
                 <div className={cn("text-[16px] font-semibold", theme.textPrimary)}>
-                  {activeRoutine.type === "eye"
-                    ? "Pause yeux"
-                    : activeRoutine.type === "stretch"
-                      ? "Étirements"
-                      : activeRoutine.type === "wake"
-                        ? "Routine Réveil"
-                        : "Routine Coucher"}
+                  {activeRoutine.type === "custom"
+                    ? activeRoutine.name
+                    : activeRoutine.type === "eye"
+                      ? "Pause yeux"
+                      : activeRoutine.type === "stretch"
+                        ? "Étirements"
+                        : activeRoutine.type === "wake"
+                          ? "Routine Réveil"
+                          : "Routine Coucher"}
                 </div>
                 <div className={cn("mt-1 text-[13px] font-semibold", theme.textMuted)}>
                   Étape {stepNo}/{totalSteps}
@@ -1282,18 +3056,36 @@ export default function ZenhydratationApp() {
             <div className="mt-6 flex items-center justify-center">
               <div className="relative">
                 <ProgressRing pct={pct} size={160} stroke={10} glowClass={t.ring} theme={theme} />
-                <div className="absolute inset-0 flex flex-col items-center justify-center">
-                  <div className={cn("text-[44px] font-semibold leading-none", theme.textPrimary)}>
-                    {activeRoutine.remainingSec}s
-                  </div>
-                  <div className={cn("mt-2 text-[13px] font-semibold", theme.textMuted)}>
-                    {activeRoutine.paused ? "En pause" : "En cours"}
+                {breathingPattern ? (
+                  <BreathingPacer
+                    key={activeRoutine.index}
+                    theme={theme}
+                    pattern={breathingPattern}
+                    paused={activeRoutine.paused}
+                    cue={breathing.cue}
+                    soundEnabled={soundEnabled}
+                    hapticsEnabled={hapticsEnabled}
+                  />
+                ) : (
+                  <div className="absolute inset-0 flex flex-col items-center justify-center">
+                    <div className={cn("text-[44px] font-semibold leading-none", theme.textPrimary)}>
+                      {activeRoutine.remainingSec}s
+                    </div>
+                    <div className={cn("mt-2 text-[13px] font-semibold", theme.textMuted)}>
+                      {activeRoutine.paused ? "En pause" : "En cours"}
+                    </div>
                   </div>
-                </div>
+                )}
               </div>
             </div>
+            {breathingPattern && (
+              <div className={cn("mt-3 text-center text-[12px] font-semibold", theme.textMuted)}>
+                {breathingPattern.name} · {activeRoutine.paused ? "en pause" : `${activeRoutine.remainingSec}s restantes`}
+              </div>
+            )}
 
             <div className="mt-6">
+              {step?.image && <img src={step.image} alt="" className="mb-4 max-h-40 w-full rounded-[22px] object-cover" />}
               <div className={cn("text-[18px] font-semibold", theme.textPrimary)}>{step?.name ?? "Exercice"}</div>
               <div className={cn("mt-2 text-[13px] leading-snug", theme.textSecondary)}>{step?.desc ?? ""}</div>
             </div>
@@ -1323,7 +3115,7 @@ export default function ZenhydratationApp() {
 
               <SurfaceButton
                 onClick={() => {
-                  creditCompletion(activeRoutine.type);
+                  creditCompletion(activeRoutine.type, activeRoutine.routineId);
                   setActiveRoutine(null);
                 }}
                 theme={theme}
@@ -1346,9 +3138,18 @@ export default function ZenhydratationApp() {
    * Notif cards
    * ========================= */
   const NotifCard = ({ type }) => {
-    const title = type === "eye" ? "Pause yeux" : "Étirements";
-    const subtitle = type === "eye" ? "Reposez vos yeux 20 secondes" : "Bougez pendant 2 minutes";
-    const text = type === "eye" ? "Regardez au loin (~6 mètres)." : "Levez-vous et étirez-vous.";
+    const leftMl = Math.max(0, todayGoalMl - waterMl);
+    const copy = {
+      eye: { title: "Pause yeux", subtitle: "Reposez vos yeux 20 secondes", text: "Regardez au loin (~6 mètres).", done: "C’est fait" },
+      stretch: { title: "Étirements", subtitle: "Bougez pendant 2 minutes", text: "Levez-vous et étirez-vous.", done: "C’est fait" },
+      water: {
+        title: "Hydratation",
+        subtitle: `Buvez ${beverage.defaultMl}ml (${beverage.label.toLowerCase()})`,
+        text: `Encore ${leftMl}ml pour atteindre l’objectif du jour.`,
+        done: "J’ai bu"
+      }
+    };
+    const { title, subtitle, text } = copy[type];
     const t = themeGlow(type);
 
     return (
@@ -1381,7 +3182,81 @@ export default function ZenhydratationApp() {
           <div className={cn("mt-3 text-[13px]", theme.textSecondary)}>{text}</div>
 
           <button
-            onClick={type === "eye" ? completeEyeBreak : completeStretch}
+            onClick={() => respondToReminder(type, "done")}
+            className={cn(
+              "mt-4 w-full rounded-2xl px-4 py-3 font-semibold text-[14px] transition",
+              theme.id === "neo"
+                ? "border border-white/10 bg-gradient-to-b from-white/[0.12] to-white/[0.06] hover:from-white/[0.16] hover:to-white/[0.08]"
+                : "border border-black/10 bg-black/[0.03] hover:bg-black/[0.05]"
+            )}
+          >
+            <span className={theme.textPrimary}>{copy[type].done}</span>
+          </button>
+
+          <div className="mt-2 grid grid-cols-3 gap-2">
+            {REMINDER_ACTIONS.filter((a) => a.id !== "done")
+              .sort((a, b) => (a.snoozeMin ?? 99) - (b.snoozeMin ?? 99))
+              .map((a) => (
+                <button
+                  key={a.id}
+                  onClick={() => respondToReminder(type, a.id)}
+                  className={cn(
+                    "rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                    theme.id === "neo"
+                      ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                      : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                    theme.textPrimary
+                  )}
+                >
+                  {a.title}
+                </button>
+              ))}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // pause du mode focus : routine courte proposée (yeux, ou étirements à la pause longue / si retenus)
+  const FocusBreakCard = () => {
+    if (!focusOffer || !isBreak(focus) || activeRoutine) return null;
+    const t = themeGlow(focusOffer);
+    const list = exercises[focusOffer];
+    const totalSec = list.reduce((acc, ex) => acc + ex.durationSec, 0);
+
+    return (
+      <div className="absolute top-4 left-4 right-4 z-50">
+        <div className={cn("rounded-[24px] p-5", theme.card)}>
+          <div className="flex items-start justify-between">
+            <div className="flex items-start gap-3">
+              <GlassIconPlate glow={t.glow} theme={theme}>
+                {theme.id === "neo"
+                  ? React.cloneElement(t.icon, { className: "h-6 w-6 text-white/85" })
+                  : t.icon}
+              </GlassIconPlate>
+              <div>
+                <div className={cn("text-[15px] font-semibold", theme.textPrimary)}>
+                  {FOCUS_PHASE_LABELS[focus.phase]} · {formatTime(focusRemainingSec(focus, now))}
+                </div>
+                <div className={cn("mt-1 text-[13px]", theme.textMuted)}>
+                  Routine proposée : {focusOffer === "eye" ? "yeux" : "étirements"} ({Math.ceil(totalSec / 60)} min)
+                </div>
+              </div>
+            </div>
+            <button
+              onClick={() => setFocusOffer(null)}
+              className={cn(
+                "h-10 w-10 rounded-2xl flex items-center justify-center transition",
+                theme.cardSoft,
+                theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.03]"
+              )}
+            >
+              <X className={cn("h-5 w-5", theme.id === "neo" ? "text-white/75" : "text-gray-600")} />
+            </button>
+          </div>
+
+          <button
+            onClick={() => startFocusRoutine(focusOffer)}
             className={cn(
               "mt-4 w-full rounded-2xl px-4 py-3 font-semibold text-[14px] transition",
               theme.id === "neo"
@@ -1389,7 +3264,7 @@ export default function ZenhydratationApp() {
                 : "border border-black/10 bg-black/[0.03] hover:bg-black/[0.05]"
             )}
           >
-            <span className={theme.textPrimary}>C’est fait</span>
+            <span className={theme.textPrimary}>Lancer la routine</span>
           </button>
         </div>
       </div>
@@ -1532,8 +3407,11 @@ export default function ZenhydratationApp() {
                   <select
                     className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
                     value={dailyGoalMl}
-                    onChange={(e) => setDailyGoalMl(Number(e.target.value))}
+                    onChange={(e) => changeDailyGoal(Number(e.target.value))}
                   >
+                    {![1500, 2000, 2500, 3000, 3500].includes(dailyGoalMl) && (
+                      <option value={dailyGoalMl}>{dailyGoalMl} ml (personnalisé)</option>
+                    )}
                     <option value={1500}>1500 ml</option>
                     <option value={2000}>2000 ml</option>
                     <option value={2500}>2500 ml</option>
@@ -1556,8 +3434,174 @@ export default function ZenhydratationApp() {
                   </select>
                 </div>
 
+                <div className="mt-4">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Plafond de sécurité</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={safetyCeilingMl}
+                    onChange={(e) => setSafetyCeilingMl(Number(e.target.value))}
+                  >
+                    <option value={0}>Désactivé</option>
+                    {SAFETY_CEILING_OPTIONS.map((ml) => (
+                      <option key={ml} value={ml}>
+                        {ml} ml
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+                  Appui long sur un verre : annule la dernière prise.
+                </div>
+              </div>
+
+              {/* Goal wizard */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Calculer mon objectif</div>
+
+                <div className="mt-3 grid grid-cols-2 gap-3">
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Poids (kg)</div>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={20}
+                      max={250}
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={goalProfile.weightKg}
+                      onChange={(e) => setGoalProfile((p) => ({ ...p, weightKg: e.target.value }))}
+                      onBlur={() => setGoalProfile((p) => sanitizeProfile(p))}
+                    />
+                  </div>
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Âge</div>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={4}
+                      max={110}
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={goalProfile.age}
+                      onChange={(e) => setGoalProfile((p) => ({ ...p, age: e.target.value }))}
+                      onBlur={() => setGoalProfile((p) => sanitizeProfile(p))}
+                    />
+                  </div>
+                </div>
+
+                <div className="mt-4">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Activité physique</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={goalProfile.activity}
+                    onChange={(e) => setGoalProfile((p) => ({ ...p, activity: e.target.value }))}
+                  >
+                    {ACTIVITY_LEVELS.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="mt-4 flex items-center justify-between gap-3">
+                  <div className={cn("text-[13px]", theme.textSecondary)}>
+                    Recommandé : <span className="font-semibold">{recommendGoalMl(goalProfile)} ml</span>
+                  </div>
+                  <button
+                    onClick={() => changeDailyGoal(recommendGoalMl(goalProfile))}
+                    disabled={recommendGoalMl(goalProfile) === dailyGoalMl}
+                    className={cn(
+                      "rounded-2xl px-3 py-2 text-[12px] font-semibold transition border disabled:opacity-50",
+                      theme.id === "neo"
+                        ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                        : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                      theme.textPrimary
+                    )}
+                  >
+                    Appliquer
+                  </button>
+                </div>
+
+                <div className={cn("mt-4 text-[12px] font-semibold", theme.textMuted)}>Aujourd&apos;hui seulement</div>
+                <div className="mt-2 space-y-2">
+                  <label className="flex items-center justify-between">
+                    <span className={cn("text-[13px]", theme.textSecondary)}>
+                      Journée chaude (+{HOT_DAY_BONUS_ML} ml)
+                    </span>
+                    <input
+                      type="checkbox"
+                      className="h-5 w-5 accent-black"
+                      checked={!!todayStats.hotDay}
+                      onChange={() => toggleDayBoost("hotDay")}
+                    />
+                  </label>
+                  <label className="flex items-center justify-between">
+                    <span className={cn("text-[13px]", theme.textSecondary)}>
+                      Journée sport (+{WORKOUT_DAY_BONUS_ML} ml)
+                    </span>
+                    <input
+                      type="checkbox"
+                      className="h-5 w-5 accent-black"
+                      checked={!!todayStats.workoutDay}
+                      onChange={() => toggleDayBoost("workoutDay")}
+                    />
+                  </label>
+                </div>
+
+                <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+                  Repère indicatif (≈ 30–35 ml/kg). L&apos;objectif modifié s&apos;applique à partir d&apos;aujourd&apos;hui.
+                </div>
+              </div>
+
+              {/* Custom beverage */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Boisson personnalisée</div>
+
+                <div className="mt-3">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Nom</div>
+                  <input
+                    type="text"
+                    maxLength={24}
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={customBeverage.label}
+                    onChange={(e) => setCustomBeverage((c) => ({ ...c, label: e.target.value }))}
+                    onBlur={() => setCustomBeverage((c) => sanitizeCustomBeverage(c))}
+                  />
+                </div>
+
+                <div className="mt-4 grid grid-cols-2 gap-3">
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Volume (ml)</div>
+                    <input
+                      type="number"
+                      inputMode="numeric"
+                      min={50}
+                      max={1000}
+                      step={10}
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={customBeverage.ml}
+                      onChange={(e) => setCustomBeverage((c) => ({ ...c, ml: e.target.value }))}
+                      onBlur={() => setCustomBeverage((c) => sanitizeCustomBeverage(c))}
+                    />
+                  </div>
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Coefficient</div>
+                    <select
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={customBeverage.coef}
+                      onChange={(e) => setCustomBeverage((c) => ({ ...c, coef: Number(e.target.value) }))}
+                    >
+                      {[0.5, 0.6, 0.7, 0.8, 0.9, 1, 1.1].map((v) => (
+                        <option key={v} value={v}>
+                          ×{v}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
                 <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
-                  Appui long sur un verre : −{cupMl}ml.
+                  Le coefficient indique la part du volume comptée dans l&apos;hydratation.
                 </div>
               </div>
 
@@ -1570,7 +3614,7 @@ export default function ZenhydratationApp() {
                   onChange={(e) => {
                     const v = Number(e.target.value);
                     setEyeBreakInterval(v);
-                    setEyeBreakTimer((t) => Math.min(t, v));
+                    setTimers((t) => capTimer(t, "eye", v, Date.now()));
                     if (soundEnabled) playTone({ freq: 880, gain: 0.02 });
                   }}
                 >
@@ -1588,7 +3632,7 @@ export default function ZenhydratationApp() {
                   onChange={(e) => {
                     const v = Number(e.target.value);
                     setStretchInterval(v);
-                    setStretchTimer((t) => Math.min(t, v));
+                    setTimers((t) => capTimer(t, "stretch", v, Date.now()));
                     if (soundEnabled) playTone({ freq: 660, gain: 0.02 });
                   }}
                 >
@@ -1598,14 +3642,770 @@ export default function ZenhydratationApp() {
                 </select>
               </div>
 
-              {/* Sound */}
-              <div className={cn("rounded-[22px] p-4 flex items-center justify-between", theme.cardSoft)}>
-                <div>
-                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Sons</div>
-                  <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
-                    Sur le web, les sons nécessitent une première interaction utilisateur.
-                  </div>
-                </div>
+              {/* Hydration reminders */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className="flex items-center justify-between">
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Rappels d’hydratation</div>
+                  <input
+                    type="checkbox"
+                    className="h-5 w-5 accent-black"
+                    checked={waterReminders.enabled}
+                    onChange={(e) => setWaterReminders((r) => ({ ...r, enabled: e.target.checked }))}
+                  />
+                </div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Le reste de l’objectif est réparti jusqu’au coucher ; les rappels se rapprochent si vous prenez du retard
+                  et s’arrêtent une fois l’objectif atteint.
+                </div>
+
+                <div className="mt-3 grid grid-cols-2 gap-3">
+                  {[
+                    { key: "wakeTime", label: "Réveil" },
+                    { key: "bedTime", label: "Coucher" }
+                  ].map((f) => (
+                    <label key={f.key} className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>{f.label}</div>
+                      <input
+                        type="time"
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={waterReminders[f.key]}
+                        disabled={!waterReminders.enabled}
+                        onChange={(e) => {
+                          const next = { ...waterReminders, [f.key]: e.target.value };
+                          // une plage invalide (vide, ou coucher avant réveil) est ignorée
+                          if (e.target.value && next.wakeTime < next.bedTime) setWaterReminders(next);
+                        }}
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Weekly schedule */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className="flex items-center justify-between">
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Horaires des rappels</div>
+                  <input
+                    type="checkbox"
+                    className="h-5 w-5 accent-black"
+                    checked={schedule.enabled}
+                    onChange={(e) => setSchedule((sc) => ({ ...sc, enabled: e.target.checked }))}
+                  />
+                </div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  En dehors, les rappels se mettent en pause et le temps de travail n’est pas compté. Le bouton Lecture
+                  les relance quand même jusqu’au prochain changement.
+                </div>
+
+                {schedule.enabled && (
+                  <>
+                    <div className="mt-3 grid grid-cols-7 gap-1">
+                      {WEEKDAYS.map((d) => {
+                        const on = schedule.days.includes(d.id);
+                        return (
+                          <button
+                            key={d.id}
+                            title={d.label}
+                            aria-label={d.label}
+                            aria-pressed={on}
+                            onClick={() =>
+                              setSchedule((sc) => ({
+                                ...sc,
+                                days: on ? sc.days.filter((x) => x !== d.id) : [...sc.days, d.id].sort()
+                              }))
+                            }
+                            className={cn(
+                              "rounded-xl py-2 text-[12px] font-semibold transition border",
+                              on
+                                ? theme.id === "neo"
+                                  ? "border-white/20 bg-white/[0.10]"
+                                  : "border-black/15 bg-black/[0.04]"
+                                : theme.id === "neo"
+                                  ? "border-white/10 bg-white/[0.02] opacity-60"
+                                  : "border-black/10 bg-black/[0.01] opacity-60",
+                              theme.textPrimary
+                            )}
+                          >
+                            {d.short}
+                          </button>
+                        );
+                      })}
+                    </div>
+
+                    <div className="mt-3 grid grid-cols-2 gap-3">
+                      {[
+                        { key: "start", label: "Début" },
+                        { key: "end", label: "Fin" }
+                      ].map((f) => (
+                        <label key={f.key} className="block">
+                          <div className={cn("text-[12px] font-semibold", theme.textMuted)}>{f.label}</div>
+                          <input
+                            type="time"
+                            className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                            value={schedule[f.key]}
+                            onChange={(e) => {
+                              const next = { ...schedule, [f.key]: e.target.value };
+                              if (e.target.value && next.start < next.end) setSchedule(next);
+                            }}
+                          />
+                        </label>
+                      ))}
+                    </div>
+
+                    <div className="mt-4 flex items-center justify-between">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Pause déjeuner</div>
+                      <input
+                        type="checkbox"
+                        className="h-5 w-5 accent-black"
+                        checked={schedule.lunch.enabled}
+                        onChange={(e) => setSchedule((sc) => ({ ...sc, lunch: { ...sc.lunch, enabled: e.target.checked } }))}
+                      />
+                    </div>
+                    {schedule.lunch.enabled && (
+                      <div className="mt-2 grid grid-cols-2 gap-3">
+                        {["start", "end"].map((k) => (
+                          <input
+                            key={k}
+                            type="time"
+                            aria-label={k === "start" ? "Début de la pause déjeuner" : "Fin de la pause déjeuner"}
+                            className={cn("w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                            value={schedule.lunch[k]}
+                            onChange={(e) => {
+                              const lunch = { ...schedule.lunch, [k]: e.target.value };
+                              if (e.target.value && lunch.start < lunch.end) setSchedule((sc) => ({ ...sc, lunch }));
+                            }}
+                          />
+                        ))}
+                      </div>
+                    )}
+
+                    <div className="mt-4">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Ne pas déranger</div>
+                      {schedule.quiet.map((q, i) => (
+                        <div key={i} className="mt-2 flex items-center gap-2">
+                          {["start", "end"].map((k) => (
+                            <input
+                              key={k}
+                              type="time"
+                              aria-label={k === "start" ? "Début ne pas déranger" : "Fin ne pas déranger"}
+                              className={cn("min-w-0 flex-1 rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                              value={q[k]}
+                              onChange={(e) => {
+                                const win = { ...q, [k]: e.target.value };
+                                if (!e.target.value || win.start === win.end) return;
+                                setSchedule((sc) => ({ ...sc, quiet: sc.quiet.map((x, j) => (j === i ? win : x)) }));
+                              }}
+                            />
+                          ))}
+                          <button
+                            onClick={() => setSchedule((sc) => ({ ...sc, quiet: sc.quiet.filter((_, j) => j !== i) }))}
+                            className={cn(
+                              "h-10 w-10 shrink-0 rounded-2xl flex items-center justify-center transition",
+                              theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.03]"
+                            )}
+                            aria-label="Supprimer la plage"
+                          >
+                            <Trash2 className={cn("h-4 w-4", theme.textMuted)} />
+                          </button>
+                        </div>
+                      ))}
+                      {schedule.quiet.length < MAX_QUIET_WINDOWS && (
+                        <button
+                          onClick={() => setSchedule((sc) => ({ ...sc, quiet: [...sc.quiet, { start: "22:00", end: "07:00" }] }))}
+                          className={cn(
+                            "mt-2 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                            theme.id === "neo"
+                              ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                              : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                            theme.textPrimary
+                          )}
+                        >
+                          + Ajouter une plage
+                        </button>
+                      )}
+                    </div>
+                  </>
+                )}
+              </div>
+
+              {/* Exercise library */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className="flex items-center justify-between">
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Bibliothèque d’exercices</div>
+                  <button
+                    onClick={() => {
+                      setExerciseCatalog((c) => resetCategory(c, exerciseTab));
+                      setExerciseDraft(null);
+                    }}
+                    className={cn("text-[12px] font-semibold underline", theme.textMuted)}
+                  >
+                    Réinitialiser
+                  </button>
+                </div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Les routines jouent les exercices cochés, dans cet ordre. Les statistiques des exercices modifiés ou
+                  supprimés sont conservées.
+                </div>
+
+                <div className="mt-3 grid grid-cols-4 gap-2">
+                  {EXERCISE_CATEGORIES.map((c) => (
+                    <button
+                      key={c}
+                      onClick={() => {
+                        setExerciseTab(c);
+                        setExerciseDraft(null);
+                        setExerciseError(null);
+                      }}
+                      className={cn(
+                        "rounded-2xl px-2 py-2 text-[12px] font-semibold transition border",
+                        exerciseTab === c
+                          ? theme.id === "neo"
+                            ? "border-white/20 bg-white/[0.10]"
+                            : "border-black/15 bg-black/[0.04]"
+                          : theme.id === "neo"
+                            ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                            : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                        theme.textPrimary
+                      )}
+                    >
+                      {CATEGORY_LABELS[c]}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="mt-3 space-y-2">
+                  {exerciseCatalog[exerciseTab].length === 0 && (
+                    <div className={cn("text-[12px]", theme.textMuted)}>Aucun exercice dans cette catégorie.</div>
+                  )}
+                  {catalogWithImages[exerciseTab].map((ex, i, list) => (
+                    <ExerciseRow
+                      key={ex.id}
+                      theme={theme}
+                      exercise={ex}
+                      isFirst={i === 0}
+                      isLast={i === list.length - 1}
+                      onToggle={(enabled) => setExerciseCatalog((c) => setExerciseEnabled(c, exerciseTab, ex.id, enabled))}
+                      onMove={(delta) => setExerciseCatalog((c) => moveExercise(c, exerciseTab, ex.id, delta))}
+                      onEdit={() => editExercise(ex)}
+                      onDelete={() => {
+                        setExerciseCatalog((c) => removeExercise(c, exerciseTab, ex.id));
+                        if (exerciseDraft?.id === ex.id) setExerciseDraft(null);
+                      }}
+                    />
+                  ))}
+                </div>
+
+                {exerciseDraft ? (
+                  <div className="mt-3 space-y-3">
+                    <label className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Nom</div>
+                      <input
+                        type="text"
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={exerciseDraft.name}
+                        onChange={(e) => setExerciseDraft((d) => ({ ...d, name: e.target.value }))}
+                      />
+                    </label>
+                    <label className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Description</div>
+                      <textarea
+                        rows={2}
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px]", theme.surfaceInput)}
+                        value={exerciseDraft.desc}
+                        onChange={(e) => setExerciseDraft((d) => ({ ...d, desc: e.target.value }))}
+                      />
+                    </label>
+                    <label className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Durée (secondes)</div>
+                      <input
+                        type="number"
+                        inputMode="numeric"
+                        min={DURATION_MIN_SEC}
+                        max={DURATION_MAX_SEC}
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={exerciseDraft.durationSec}
+                        onChange={(e) => setExerciseDraft((d) => ({ ...d, durationSec: e.target.value }))}
+                      />
+                    </label>
+                    <label className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Respiration guidée</div>
+                      <select
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={exerciseDraft.breathing}
+                        onChange={(e) => setExerciseDraft((d) => ({ ...d, breathing: e.target.value }))}
+                      >
+                        <option value="">Aucune (compte à rebours)</option>
+                        {BREATHING_PATTERNS.map((bp) => (
+                          <option key={bp.id} value={bp.id}>
+                            {bp.name}
+                          </option>
+                        ))}
+                        <option value={CUSTOM_PATTERN_ID}>{patternById(CUSTOM_PATTERN_ID, breathing.custom).name}</option>
+                      </select>
+                    </label>
+                    <div>
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Image (facultatif)</div>
+                      <div className="mt-2 flex items-center gap-2">
+                        {exerciseDraft.image && (
+                          <img src={exerciseDraft.image} alt="" className="h-11 w-11 rounded-xl object-cover" />
+                        )}
+                        <input
+                          type="url"
+                          placeholder="https://…"
+                          className={cn("min-w-0 flex-1 rounded-2xl px-3 py-3 text-[13px]", theme.surfaceInput)}
+                          value={exerciseDraft.image.startsWith("data:") ? "" : exerciseDraft.image}
+                          onChange={(e) => setExerciseDraft((d) => ({ ...d, image: e.target.value }))}
+                        />
+                        <label
+                          className={cn(
+                            "shrink-0 cursor-pointer rounded-2xl px-3 py-3 text-[12px] font-semibold transition border",
+                            theme.id === "neo"
+                              ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                              : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                            theme.textPrimary
+                          )}
+                        >
+                          Fichier
+                          <input
+                            type="file"
+                            accept="image/*"
+                            className="hidden"
+                            onChange={(e) => {
+                              pickExerciseImage(e.target.files?.[0]);
+                              e.target.value = "";
+                            }}
+                          />
+                        </label>
+                        {exerciseDraft.image && (
+                          <button
+                            onClick={() => setExerciseDraft((d) => ({ ...d, image: "" }))}
+                            className={cn("text-[12px] font-semibold underline", theme.textMuted)}
+                          >
+                            Retirer
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {exerciseError && (
+                      <div
+                        className={cn("text-[12px] font-semibold", theme.id === "neo" ? "text-rose-300" : "text-rose-600")}
+                        role="alert"
+                      >
+                        {exerciseError}
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-2">
+                      <SurfaceButton onClick={saveExerciseDraft} theme={theme} className="text-center">
+                        <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>
+                          {exerciseDraft.id ? "Enregistrer" : "Ajouter"}
+                        </span>
+                      </SurfaceButton>
+                      <SurfaceButton
+                        onClick={() => {
+                          setExerciseDraft(null);
+                          setExerciseError(null);
+                        }}
+                        theme={theme}
+                        className="text-center"
+                      >
+                        <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>Annuler</span>
+                      </SurfaceButton>
+                    </div>
+                  </div>
+                ) : (
+                  <button
+                    onClick={() => editExercise(null)}
+                    className={cn(
+                      "mt-3 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                      theme.id === "neo"
+                        ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                        : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                      theme.textPrimary
+                    )}
+                  >
+                    + Ajouter un exercice
+                  </button>
+                )}
+              </div>
+
+              {/* Routine builder */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Routines perso</div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Enchaînez des exercices de toutes les catégories, avec répétitions et temps de repos. Elles apparaissent
+                  avec les exercices de l’accueil.
+                </div>
+
+                {!routineDraft && (
+                  <>
+                    <div className="mt-3 space-y-2">
+                      {customRoutines.list.map((rt) => (
+                        <div key={rt.id} className={cn("rounded-2xl px-3 py-2 flex items-center gap-3", theme.cardSoft)}>
+                          <div className="min-w-0">
+                            <div className={cn("text-[13px] font-semibold truncate", theme.textPrimary)}>{rt.name}</div>
+                            <div className={cn("text-[12px]", theme.textMuted)}>
+                              {rt.steps.length} étape{rt.steps.length > 1 ? "s" : ""} • {formatTime(routineDurationSec(rt, exerciseCatalog))}
+                            </div>
+                          </div>
+                          <div className="ml-auto flex items-center gap-1">
+                            <button
+                              onClick={() => editRoutine(rt)}
+                              className={cn(
+                                "h-8 w-8 rounded-xl flex items-center justify-center transition",
+                                theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.04]"
+                              )}
+                              title="Modifier"
+                              aria-label="Modifier"
+                            >
+                              <Pencil className={cn("h-4 w-4", theme.id === "neo" ? "text-white/70" : "text-gray-600")} />
+                            </button>
+                            <button
+                              onClick={() => setCustomRoutines((rs) => deleteRoutine(rs, rt.id))}
+                              className={cn(
+                                "h-8 w-8 rounded-xl flex items-center justify-center transition",
+                                theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.04]"
+                              )}
+                              title="Supprimer"
+                              aria-label="Supprimer"
+                            >
+                              <Trash2 className={cn("h-4 w-4", theme.id === "neo" ? "text-white/70" : "text-gray-600")} />
+                            </button>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+
+                    {customRoutines.list.length < MAX_ROUTINES && (
+                      <button
+                        onClick={() => editRoutine(null)}
+                        className={cn(
+                          "mt-3 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                          theme.id === "neo"
+                            ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                            : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                          theme.textPrimary
+                        )}
+                      >
+                        + Nouvelle routine
+                      </button>
+                    )}
+                  </>
+                )}
+
+                {routineDraft && (
+                  <div className="mt-3 space-y-3">
+                    <label className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Nom</div>
+                      <input
+                        type="text"
+                        placeholder="Reset bureau de l’après-midi"
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={routineDraft.name}
+                        onChange={(e) => setRoutineDraft((d) => ({ ...d, name: e.target.value }))}
+                      />
+                    </label>
+
+                    <div className="space-y-2">
+                      {routineDraft.steps.map((st, i) => (
+                        <RoutineStepRow
+                          key={i}
+                          theme={theme}
+                          step={st}
+                          index={i}
+                          count={routineDraft.steps.length}
+                          catalog={exerciseCatalog}
+                          onChange={(patch) => updateRoutineStep(i, patch)}
+                          onMove={(delta) => moveRoutineStep(i, delta)}
+                          onRemove={() => removeRoutineStep(i)}
+                        />
+                      ))}
+                    </div>
+
+                    {routineDraft.steps.length < MAX_STEPS && (
+                      <button
+                        onClick={addRoutineStep}
+                        className={cn(
+                          "rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                          theme.id === "neo"
+                            ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                            : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                          theme.textPrimary
+                        )}
+                      >
+                        + Ajouter une étape
+                      </button>
+                    )}
+
+                    {routineError && (
+                      <div
+                        className={cn("text-[12px] font-semibold", theme.id === "neo" ? "text-rose-300" : "text-rose-600")}
+                        role="alert"
+                      >
+                        {routineError}
+                      </div>
+                    )}
+
+                    <div className="grid grid-cols-2 gap-2">
+                      <SurfaceButton onClick={saveRoutineDraft} theme={theme} className="text-center">
+                        <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>Enregistrer</span>
+                      </SurfaceButton>
+                      <SurfaceButton
+                        onClick={() => {
+                          setRoutineDraft(null);
+                          setRoutineError(null);
+                        }}
+                        theme={theme}
+                        className="text-center"
+                      >
+                        <span className={cn("text-[13px] font-semibold", theme.textPrimary)}>Annuler</span>
+                      </SurfaceButton>
+                    </div>
+                  </div>
+                )}
+              </div>
+
+              {/* Guided breathing */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Respiration guidée</div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Les exercices avec un motif de respiration affichent un cercle qui suit chaque phase.
+                </div>
+
+                <div className={cn("mt-3 text-[12px] font-semibold", theme.textMuted)}>Signal à chaque phase</div>
+                <select
+                  className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                  value={breathing.cue}
+                  onChange={(e) => setBreathing((b) => sanitizeBreathing({ ...b, cue: e.target.value }))}
+                >
+                  {BREATHING_CUES.map((c) => (
+                    <option key={c.id} value={c.id}>
+                      {c.label}
+                    </option>
+                  ))}
+                </select>
+                {breathing.cue === "tone" && !soundEnabled && (
+                  <div className={cn("mt-2 text-[12px]", theme.textMuted)}>Le son est coupé : activez-le pour entendre le signal.</div>
+                )}
+                {breathing.cue === "vibrate" && !hapticsEnabled && (
+                  <div className={cn("mt-2 text-[12px]", theme.textMuted)}>
+                    Les vibrations sont coupées : activez-les pour sentir le signal.
+                  </div>
+                )}
+
+                <div className={cn("mt-3 text-[12px] font-semibold", theme.textMuted)}>Motif perso (secondes)</div>
+                <div className="mt-2 grid grid-cols-4 gap-2">
+                  {Object.keys(PHASE_LABELS).map((k) => (
+                    <label key={k} className="block">
+                      <div className={cn("text-[11px] font-semibold", theme.textMuted)}>{PHASE_LABELS[k]}</div>
+                      <input
+                        type="number"
+                        inputMode="decimal"
+                        min={0}
+                        max={PHASE_MAX_SEC}
+                        step={0.5}
+                        className={cn("mt-1 w-full rounded-2xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={breathing.custom[k]}
+                        onChange={(e) =>
+                          setBreathing((b) => ({ ...b, custom: sanitizeCustomPattern({ ...b.custom, [k]: e.target.value }) }))
+                        }
+                      />
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Focus mode */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Mode focus</div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Durées en minutes ; s’appliquent à la prochaine phase.
+                </div>
+
+                <div className="mt-3 grid grid-cols-2 gap-3">
+                  {[
+                    { key: "workMin", label: "Concentration", options: [15, 20, 25, 30, 45, 50, 60, 90] },
+                    { key: "shortMin", label: "Pause courte", options: [3, 5, 10, 15] },
+                    { key: "longMin", label: "Pause longue", options: [10, 15, 20, 30] },
+                    { key: "longEvery", label: "Pause longue tous les", options: [2, 3, 4, 5, 6] }
+                  ].map((f) => (
+                    <label key={f.key} className="block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>{f.label}</div>
+                      <select
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={focusSettings[f.key]}
+                        onChange={(e) => setFocusSettings((fs) => sanitizeFocus({ ...fs, [f.key]: e.target.value }))}
+                      >
+                        {f.options.map((o) => (
+                          <option key={o} value={o}>
+                            {f.key === "longEvery" ? `${o} sessions` : `${o} min`}
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {/* Idle detection */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className="flex items-center justify-between">
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Détection d’absence</div>
+                  <input
+                    type="checkbox"
+                    className="h-5 w-5 accent-black"
+                    checked={idle.enabled}
+                    onChange={(e) => setIdle((i) => ({ ...i, enabled: e.target.checked }))}
+                  />
+                </div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Sans activité sur l’app, les rappels et le temps de travail se mettent en pause. Une absence plus
+                  longue qu’un intervalle compte comme une pause : le rappel repart de zéro. Seules les saisies dans
+                  l’app sont vues : les notifications système continuent pendant la pause.
+                </div>
+
+                <div className={cn("mt-3 text-[12px] font-semibold", theme.textMuted)}>Pause après</div>
+                <select
+                  className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                  value={idleMinutes}
+                  disabled={!idle.enabled}
+                  onChange={(e) => setIdle((i) => sanitizeIdle({ ...i, minutes: e.target.value }))}
+                >
+                  {/* le seuil dépasse toujours le plus court intervalle de rappel */}
+                  {IDLE_MINUTE_OPTIONS.filter((m) => m >= idleThresholdMinutes({ minutes: 0 }, reminderIntervals)).map((m) => (
+                    <option key={m} value={m}>
+                      {m} minutes sans activité
+                    </option>
+                  ))}
+                </select>
+
+                <label className="mt-3 flex items-center justify-between gap-3">
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>App en arrière-plan = absence</div>
+                    <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                      Sinon, un onglet en fond pendant que vous travaillez ailleurs continue de compter.
+                    </div>
+                  </div>
+                  <input
+                    type="checkbox"
+                    className="h-5 w-5 accent-black"
+                    checked={idle.whenHidden}
+                    disabled={!idle.enabled}
+                    onChange={(e) => setIdle((i) => ({ ...i, whenHidden: e.target.checked }))}
+                  />
+                </label>
+              </div>
+
+              {/* Streaks */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Séries 🔥</div>
+
+                <div className="mt-3">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Une journée compte si</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={streakSettings.rule}
+                    onChange={(e) => setStreakSettings((st) => ({ ...st, rule: e.target.value }))}
+                  >
+                    {STREAK_RULES.map((r) => (
+                      <option key={r.id} value={r.id}>
+                        {r.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+
+                <div className="mt-4 grid grid-cols-2 gap-3">
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Pauses yeux (N)</div>
+                    <select
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={streakSettings.minEyeBreaks}
+                      onChange={(e) => setStreakSettings((st) => ({ ...st, minEyeBreaks: Number(e.target.value) }))}
+                    >
+                      {[1, 2, 3, 4, 5, 6, 8, 10].map((n) => (
+                        <option key={n} value={n}>
+                          ≥ {n}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                  <div>
+                    <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Étirements (N)</div>
+                    <select
+                      className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                      value={streakSettings.minStretches}
+                      onChange={(e) => setStreakSettings((st) => ({ ...st, minStretches: Number(e.target.value) }))}
+                    >
+                      {[1, 2, 3, 4, 5, 6].map((n) => (
+                        <option key={n} value={n}>
+                          ≥ {n}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                <div className="mt-4">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Jours gel par mois</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={streakSettings.freezesPerMonth}
+                    onChange={(e) => setStreakSettings((st) => ({ ...st, freezesPerMonth: Number(e.target.value) }))}
+                  >
+                    <option value={0}>Aucun</option>
+                    <option value={1}>1 par mois</option>
+                    <option value={2}>2 par mois</option>
+                    <option value={3}>3 par mois</option>
+                  </select>
+                </div>
+
+                <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+                  Un gel garde la série en vie après un jour manqué.
+                </div>
+              </div>
+
+              {/* System notifications */}
+              <div className={cn("rounded-[22px] p-4 flex items-center justify-between gap-3", theme.cardSoft)}>
+                <div>
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Notifications système</div>
+                  <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                    {notifPermission === "granted"
+                      ? REMINDERS_WHEN_CLOSED
+                        ? "Activées : les rappels arrivent même app fermée."
+                        : "Activées : les rappels arrivent onglet en arrière-plan, mais il doit rester ouvert."
+                      : notifPermission === "denied"
+                        ? "Refusées : autorisez-les dans les réglages du navigateur ou du téléphone."
+                        : notifPermission === "unsupported"
+                          ? "Non disponibles sur ce navigateur."
+                          : "Recevez les rappels hors de l’app."}
+                  </div>
+                </div>
+                {notifPermission !== "granted" && notifPermission !== "denied" && notifPermission !== "unsupported" && (
+                  <button
+                    onClick={requestNotifPermission}
+                    className={cn(
+                      "shrink-0 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                      theme.id === "neo"
+                        ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                        : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                      theme.textPrimary
+                    )}
+                  >
+                    Autoriser
+                  </button>
+                )}
+              </div>
+
+              {/* Sound */}
+              <div className={cn("rounded-[22px] p-4 flex items-center justify-between", theme.cardSoft)}>
+                <div>
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Sons</div>
+                  <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                    Sur le web, les sons nécessitent une première interaction utilisateur.
+                  </div>
+                </div>
                 <input
                   type="checkbox"
                   className="h-5 w-5 accent-black"
@@ -1617,6 +4417,216 @@ export default function ZenhydratationApp() {
                 />
               </div>
 
+              {/* Haptics */}
+              <div className={cn("rounded-[22px] p-4 flex items-center justify-between", theme.cardSoft)}>
+                <div>
+                  <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Vibrations</div>
+                  <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                    Boisson, rappel, étape suivante, objectif atteint : utile téléphone en silencieux.
+                  </div>
+                </div>
+                <input
+                  type="checkbox"
+                  className="h-5 w-5 accent-black"
+                  checked={hapticsEnabled}
+                  onChange={(e) => {
+                    setHapticsEnabled(e.target.checked);
+                    if (e.target.checked) haptic("drink");
+                  }}
+                />
+              </div>
+
+              {/* Cue sounds */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Signaux sonores</div>
+
+                <label className="mt-3 block">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Jeu de sons</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={sound.cueSet}
+                    disabled={!soundEnabled}
+                    onChange={(e) => {
+                      const next = sanitizeSound({ ...sound, cueSet: e.target.value });
+                      setSound(next);
+                      playCue(cueFor(next, "done"));
+                    }}
+                  >
+                    {CUE_SETS.map((cs) => (
+                      <option key={cs.id} value={cs.id}>
+                        {cs.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <div className="mt-3 flex flex-wrap gap-2">
+                  {SOUND_EVENTS.map((ev) => {
+                    const on = sound.events[ev];
+                    return (
+                      <button
+                        key={ev}
+                        aria-pressed={on}
+                        disabled={!soundEnabled}
+                        onClick={() => {
+                          const next = { ...sound, events: { ...sound.events, [ev]: !on } };
+                          setSound(next);
+                          playCue(cueFor(next, ev));
+                        }}
+                        className={cn(
+                          "rounded-xl px-3 py-2 text-[12px] font-semibold transition border",
+                          on
+                            ? theme.id === "neo"
+                              ? "border-white/20 bg-white/[0.10]"
+                              : "border-black/15 bg-black/[0.04]"
+                            : theme.id === "neo"
+                              ? "border-white/10 bg-white/[0.02] opacity-60"
+                              : "border-black/10 bg-black/[0.01] opacity-60",
+                          theme.textPrimary
+                        )}
+                      >
+                        {SOUND_EVENT_LABELS[ev]}
+                      </button>
+                    );
+                  })}
+                </div>
+
+                <label className="mt-3 block">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>
+                    Volume : {Math.round(sound.volume * 100)} %
+                  </div>
+                  <input
+                    type="range"
+                    min={0}
+                    max={1}
+                    step={0.05}
+                    className="mt-2 w-full accent-black"
+                    value={sound.volume}
+                    disabled={!soundEnabled}
+                    onChange={(e) => setSound((sd) => sanitizeSound({ ...sd, volume: e.target.value }))}
+                    onPointerUp={() => playCue(cueFor(sound, "drink"))}
+                  />
+                </label>
+
+                <label className="mt-3 block">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Ambiance pendant la routine Coucher</div>
+                  <select
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                    value={sound.ambient}
+                    disabled={!soundEnabled}
+                    onChange={(e) => setSound((sd) => sanitizeSound({ ...sd, ambient: e.target.value }))}
+                  >
+                    {AMBIENT_SOUNDS.map((a) => (
+                      <option key={a.id} value={a.id}>
+                        {a.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+
+              {/* Voice guidance */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Guidage vocal</div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  Annonce chaque étape et sa consigne, décompte la fin : faites vos pauses les yeux fermés.
+                </div>
+
+                {isSpeechAvailable() ? (
+                  <>
+                    <div className="mt-3 flex flex-wrap gap-2">
+                      {VOICE_CATEGORIES.map((c) => {
+                        const on = voice.categories[c];
+                        return (
+                          <button
+                            key={c}
+                            aria-pressed={on}
+                            onClick={() => setVoice((v) => ({ ...v, categories: { ...v.categories, [c]: !on } }))}
+                            className={cn(
+                              "rounded-xl px-3 py-2 text-[12px] font-semibold transition border",
+                              on
+                                ? theme.id === "neo"
+                                  ? "border-white/20 bg-white/[0.10]"
+                                  : "border-black/15 bg-black/[0.04]"
+                                : theme.id === "neo"
+                                  ? "border-white/10 bg-white/[0.02] opacity-60"
+                                  : "border-black/10 bg-black/[0.01] opacity-60",
+                              theme.textPrimary
+                            )}
+                          >
+                            {VOICE_CATEGORY_LABELS[c]}
+                          </button>
+                        );
+                      })}
+                    </div>
+
+                    <label className="mt-3 block">
+                      <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Voix</div>
+                      <select
+                        className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                        value={voice.voiceURI}
+                        onChange={(e) => setVoice((v) => sanitizeVoice({ ...v, voiceURI: e.target.value }))}
+                      >
+                        <option value="">Voix française par défaut</option>
+                        {voices.map((vo) => (
+                          <option key={vo.voiceURI} value={vo.voiceURI}>
+                            {vo.name} ({vo.lang})
+                          </option>
+                        ))}
+                      </select>
+                    </label>
+
+                    <div className="mt-3 grid grid-cols-2 gap-3">
+                      <label className="block">
+                        <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Débit</div>
+                        <select
+                          className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                          value={voice.rate}
+                          onChange={(e) => setVoice((v) => sanitizeVoice({ ...v, rate: e.target.value }))}
+                        >
+                          {VOICE_RATES.map((rt) => (
+                            <option key={rt} value={rt}>
+                              {rt === 1 ? "Normal" : `×${String(rt).replace(".", ",")}`}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="block">
+                        <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Décompte</div>
+                        <select
+                          className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[13px] font-semibold", theme.surfaceInput)}
+                          value={voice.countdownSec}
+                          onChange={(e) => setVoice((v) => sanitizeVoice({ ...v, countdownSec: e.target.value }))}
+                        >
+                          {COUNTDOWN_OPTIONS.map((n) => (
+                            <option key={n} value={n}>
+                              {n === 0 ? "Aucun" : `${n} dernières secondes`}
+                            </option>
+                          ))}
+                        </select>
+                      </label>
+                    </div>
+
+                    <button
+                      onClick={() => speak("Inspirez profondément, puis détendez les épaules.", voice)}
+                      className={cn(
+                        "mt-3 rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                        theme.id === "neo"
+                          ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                          : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                        theme.textPrimary
+                      )}
+                    >
+                      Tester la voix
+                    </button>
+                  </>
+                ) : (
+                  <div className={cn("mt-3 text-[12px] font-semibold", theme.textMuted)}>
+                    Synthèse vocale indisponible sur cet appareil.
+                  </div>
+                )}
+              </div>
+
               {/* Bubbles */}
               <div className={cn("rounded-[22px] p-4 flex items-center justify-between", theme.cardSoft)}>
                 <div>
@@ -1630,6 +4640,127 @@ export default function ZenhydratationApp() {
                   onChange={(e) => setBubblesEnabled(e.target.checked)}
                 />
               </div>
+
+              {/* Data: export / import */}
+              <div className={cn("rounded-[22px] p-4", theme.cardSoft)}>
+                <div className={cn("text-[13px] font-semibold", theme.textSecondary)}>Données</div>
+                <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                  JSON : sauvegarde complète (réglages, jour en cours, historique). CSV : une ligne par jour.
+                </div>
+
+                <div className="mt-3 grid grid-cols-2 gap-2">
+                  {[
+                    { id: "json", label: "Exporter JSON", onClick: exportJson },
+                    { id: "csv", label: "Exporter CSV", onClick: exportCsv }
+                  ].map((b) => (
+                    <button
+                      key={b.id}
+                      onClick={b.onClick}
+                      className={cn(
+                        "rounded-2xl px-3 py-3 text-[12px] font-semibold transition border",
+                        theme.id === "neo"
+                          ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                          : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                        theme.textPrimary
+                      )}
+                    >
+                      {b.label}
+                    </button>
+                  ))}
+                </div>
+
+                <div className="mt-4">
+                  <div className={cn("text-[12px] font-semibold", theme.textMuted)}>Importer (JSON ou CSV)</div>
+                  <input
+                    type="file"
+                    accept=".json,.csv,application/json,text/csv"
+                    className={cn("mt-2 w-full rounded-2xl px-3 py-3 text-[12px]", theme.surfaceInput)}
+                    onChange={(e) => {
+                      readImportFile(e.target.files?.[0]);
+                      e.target.value = "";
+                    }}
+                  />
+                </div>
+
+                {importDraft &&
+                  (() => {
+                    const { data, mode } = importDraft;
+                    const preview = previewImport(fullHistory, data.history, todayStats.dayKey);
+                    return (
+                      <div className={cn("mt-3 rounded-2xl p-3", theme.surfaceInput)}>
+                        <div className={cn("text-[12px] font-semibold truncate", theme.textPrimary)}>{importDraft.fileName}</div>
+                        <div className={cn("mt-1 text-[12px]", theme.textSecondary)}>
+                          {preview.total} jours
+                          {preview.first ? ` (${preview.first} → ${preview.last})` : ""}
+                          {data.exportedAt ? ` • exporté le ${String(data.exportedAt).slice(0, 10)}` : ""}
+                        </div>
+                        <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                          {mode === "merge"
+                            ? `+${preview.added} nouveaux • ${preview.changed} mis à jour • ${preview.unchanged} identiques`
+                            : `${preview.total} jours importés • ${preview.removed} jours actuels supprimés`}
+                        </div>
+                        {data.skipped > 0 && (
+                          <div className={cn("mt-1 text-[12px]", theme.textMuted)}>{data.skipped} lignes invalides ignorées.</div>
+                        )}
+                        {data.state && (
+                          <div className={cn("mt-1 text-[12px]", theme.textMuted)}>
+                            {mode === "replace" ? "Les réglages seront restaurés." : "Réglages inclus (restaurés seulement en mode Remplacer)."}
+                          </div>
+                        )}
+
+                        <div className="mt-3 grid grid-cols-2 gap-2">
+                          {[
+                            { id: "merge", label: "Fusionner" },
+                            { id: "replace", label: "Remplacer" }
+                          ].map((m) => (
+                            <button
+                              key={m.id}
+                              onClick={() => setImportDraft((d) => (d ? { ...d, mode: m.id } : d))}
+                              className={cn(
+                                "rounded-2xl px-3 py-2 text-[12px] font-semibold transition border",
+                                mode === m.id
+                                  ? theme.id === "neo"
+                                    ? "border-white/20 bg-white/[0.10]"
+                                    : "border-black/15 bg-black/[0.04]"
+                                  : theme.id === "neo"
+                                    ? "border-white/10 bg-white/[0.06] hover:bg-white/[0.10]"
+                                    : "border-black/10 bg-black/[0.02] hover:bg-black/[0.04]",
+                                theme.textPrimary
+                              )}
+                            >
+                              {m.label}
+                            </button>
+                          ))}
+                        </div>
+
+                        <div className="mt-2 flex gap-2">
+                          <SurfaceButton theme={theme} onClick={confirmImport} className="flex-1 py-2">
+                            <span className={cn("text-[12px] font-semibold", theme.textPrimary)}>Importer</span>
+                          </SurfaceButton>
+                          <SurfaceButton theme={theme} onClick={() => setImportDraft(null)} className="flex-1 py-2">
+                            <span className={cn("text-[12px] font-semibold", theme.textPrimary)}>Annuler</span>
+                          </SurfaceButton>
+                        </div>
+                      </div>
+                    );
+                  })()}
+
+                {importMessage && (
+                  <div
+                    role={importMessage.tone === "error" ? "alert" : "status"}
+                    className={cn(
+                      "mt-3 text-[12px] font-semibold",
+                      importMessage.tone === "error"
+                        ? theme.id === "neo"
+                          ? "text-rose-300"
+                          : "text-rose-600"
+                        : theme.textSecondary
+                    )}
+                  >
+                    {importMessage.text}
+                  </div>
+                )}
+              </div>
             </div>
 
             <button
@@ -1657,11 +4788,15 @@ export default function ZenhydratationApp() {
       {theme.bgLayer}
 
       <div className="relative w-full max-w-md">
-        {showNotif === "eye" && <NotifCard type="eye" />}
-        {showNotif === "stretch" && <NotifCard type="stretch" />}
+        {showNotif === "eye" && NotifCard({ type: "eye" })}
+        {showNotif === "stretch" && NotifCard({ type: "stretch" })}
+        {showNotif === "water" && NotifCard({ type: "water" })}
+        {!showNotif && FocusBreakCard()}
 
-        {activeTab === "home" && <HomeScreen />}
-        {activeTab === "stats" && <StatsScreen />}
+        {/* Écrans appelés comme fonctions (pas <HomeScreen />) : sinon React remonte tout
+            à chaque tick du timer et les champs de saisie perdent le focus. */}
+        {activeTab === "home" && HomeScreen()}
+        {activeTab === "stats" && StatsScreen()}
 
         {activeTab === "deals" && <DealsPage theme={theme} remoteUrl={DEALS_REMOTE_URL} />}
 
@@ -1714,9 +4849,9 @@ export default function ZenhydratationApp() {
           </div>
         </div>
 
-        <ExerciseModal />
-        <RoutinePlayer />
-        <SettingsModal />
+        {ExerciseModal()}
+        {RoutinePlayer()}
+        {SettingsModal()}
 
         {/* Keyframes */}
         <style>{`
@@ -1821,7 +4956,7 @@ function AvatarMood({ theme, avatar, energyScore }) {
 }
 
 /* =========================
- * Water glasses (progress fill + long press undo + bubbles)
+ * Water glasses (progress fill + long press undo + bubbles + overflow past goal)
  * ========================= */
 function WaterGlasses({
   totalMl,
@@ -1861,11 +4996,24 @@ function WaterGlasses({
         ? "bg-white/70"
         : "bg-gray-100";
 
+  const overflowFillColor =
+    theme.id === "neo" ? "from-amber-200/80 to-orange-300/80" : "from-amber-400/70 to-orange-400/70";
+
   const maxCups = Math.max(1, Math.ceil(goalMl / Math.max(1, cupMl)));
-  const filledCups = Math.floor(totalMl / Math.max(1, cupMl));
-  const remainderMl = totalMl - filledCups * cupMl;
+  const baseMl = Math.min(totalMl, goalMl);
+  const filledCups = Math.floor(baseMl / Math.max(1, cupMl));
+  const remainderMl = baseMl - filledCups * cupMl;
   const partialPct = Math.max(0, Math.min(1, remainderMl / Math.max(1, cupMl)));
 
+  // au-delà de l'objectif: verres supplémentaires (teinte différente)
+  const overflowMl = Math.max(0, totalMl - goalMl);
+  const overflowCups = Math.ceil(overflowMl / Math.max(1, cupMl));
+  const overflowFull = Math.floor(overflowMl / Math.max(1, cupMl));
+  const overflowPartialPct = Math.max(0, Math.min(1, (overflowMl - overflowFull * cupMl) / Math.max(1, cupMl)));
+  // une seule rangée : au-delà, la dernière case affiche "+N" verres
+  const overflowShown = overflowCups > maxCups ? maxCups - 1 : overflowCups;
+  const overflowHidden = overflowCups - overflowShown;
+
   const longPressRef = useRef(null);
   const longPressedRef = useRef(false);
 
@@ -1888,6 +5036,79 @@ function WaterGlasses({
     };
   }, []);
 
+  const renderGlass = (key, fillPct, overflow = false) => (
+    <button
+      key={key}
+      type="button"
+      onMouseDown={startLongPress}
+      onMouseUp={endLongPress}
+      onMouseLeave={endLongPress}
+      onTouchStart={startLongPress}
+      onTouchEnd={endLongPress}
+      onClick={() => {
+        if (longPressedRef.current) return;
+        onAdd?.();
+      }}
+      className="relative group"
+      style={{ height: dims.h }}
+      aria-label="Hydratation: ajouter (clic) / annuler (appui long)"
+      title="Clic: +dose — Appui long: annuler"
+    >
+      <div className={cn("relative w-full h-full rounded-2xl border overflow-hidden", glassBg)}>
+        <div className="absolute inset-0 pointer-events-none">
+          <div className="absolute left-1 top-2 bottom-2 w-[22%] rounded-full bg-white/10" />
+        </div>
+
+        <div className={cn("absolute top-0 left-0 right-0 h-[10%] opacity-60", rim)} />
+
+        <div
+          className="absolute left-0 right-0 bottom-0 transition-[height] duration-700 ease-out"
+          style={{ height: `${fillPct * 100}%` }}
+        >
+          <div className={cn("absolute inset-0 bg-gradient-to-b", overflow ? overflowFillColor : fillColor)} />
+
+          <div className="absolute inset-0 overflow-hidden">
+            <div
+              className={cn(
+                "absolute -left-[40%] top-[-10%] w-[180%] h-[60%] rounded-[100%] opacity-35",
+                theme.id === "neo" ? "bg-white/20" : "bg-white/35"
+              )}
+              style={{ animation: "zh_wave 2.6s ease-in-out infinite" }}
+            />
+            <div
+              className={cn(
+                "absolute -left-[30%] top-[2%] w-[160%] h-[55%] rounded-[100%] opacity-25",
+                theme.id === "neo" ? "bg-white/15" : "bg-white/30"
+              )}
+              style={{ animation: "zh_wave 3.2s ease-in-out infinite reverse" }}
+            />
+          </div>
+
+          {bubblesEnabled && fillPct > 0 && (
+            <div className="absolute inset-0 pointer-events-none">
+              <Bubble x="22%" delay="0s" />
+              <Bubble x="48%" delay="0.6s" />
+              <Bubble x="70%" delay="1.1s" />
+            </div>
+          )}
+        </div>
+
+        <div className="absolute inset-0 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity">
+          <span
+            className={cn(
+              "text-[11px] font-semibold px-2 py-1 rounded-full",
+              theme.id === "neo"
+                ? "bg-white/10 border border-white/10 text-white/80"
+                : "bg-black/5 border border-black/10 text-gray-700"
+            )}
+          >
+            + / −
+          </span>
+        </div>
+      </div>
+    </button>
+  );
+
   return (
     <div className="w-full">
       <div
@@ -1900,85 +5121,278 @@ function WaterGlasses({
         {Array.from({ length: maxCups }).map((_, i) => {
           const isFull = i < filledCups;
           const isPartial = i === filledCups && partialPct > 0;
-          const fillPct = isFull ? 0.78 : isPartial ? 0.78 * partialPct : 0;
+          return renderGlass(i, isFull ? 0.78 : isPartial ? 0.78 * partialPct : 0);
+        })}
+      </div>
 
-          return (
-            <button
-              key={i}
-              type="button"
-              onMouseDown={startLongPress}
-              onMouseUp={endLongPress}
-              onMouseLeave={endLongPress}
-              onTouchStart={startLongPress}
-              onTouchEnd={endLongPress}
-              onClick={() => {
-                if (longPressedRef.current) return;
-                onAdd?.();
-              }}
-              className="relative group"
-              style={{ height: dims.h }}
-              aria-label="Hydratation: ajouter (clic) / annuler (appui long)"
-              title="Clic: +dose — Appui long: annuler"
-            >
-              <div className={cn("relative w-full h-full rounded-2xl border overflow-hidden", glassBg)}>
-                <div className="absolute inset-0 pointer-events-none">
-                  <div className="absolute left-1 top-2 bottom-2 w-[22%] rounded-full bg-white/10" />
-                </div>
+      {overflowCups > 0 && (
+        <>
+          <div className={cn("mt-3 text-[12px] font-semibold", theme.textMuted)}>
+            Au-delà de l&apos;objectif : +{overflowMl}ml
+          </div>
+          <div
+            className="mt-2 grid"
+            style={{
+              gridTemplateColumns: `repeat(${maxCups}, minmax(0, 1fr))`,
+              gap: dims.gap
+            }}
+          >
+            {Array.from({ length: overflowShown }).map((_, i) =>
+              renderGlass(`over-${i}`, i < overflowFull ? 0.78 : 0.78 * overflowPartialPct, true)
+            )}
+            {overflowHidden > 0 && (
+              <div
+                className={cn(
+                  "rounded-2xl border flex items-center justify-center text-[12px] font-semibold",
+                  glassBg,
+                  theme.textSecondary
+                )}
+                style={{ height: dims.h }}
+                title={`${overflowHidden} verre${overflowHidden > 1 ? "s" : ""} de plus`}
+              >
+                +{overflowHidden}
+              </div>
+            )}
+          </div>
+        </>
+      )}
 
-                <div className={cn("absolute top-0 left-0 right-0 h-[10%] opacity-60", rim)} />
+      <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
+        Clic: +dose • Appui long: annuler la dernière prise
+      </div>
+    </div>
+  );
+}
 
-                <div
-                  className="absolute left-0 right-0 bottom-0 transition-[height] duration-700 ease-out"
-                  style={{ height: `${fillPct * 100}%` }}
-                >
-                  <div className={cn("absolute inset-0 bg-gradient-to-b", fillColor)} />
+/* =========================
+ * Drink log row (affichage / édition)
+ * ========================= */
+function DrinkRow({ theme, drink, beverage, beverageOpts, editing, onEdit, onDelete, onDraftChange, onSave, onCancel }) {
+  const iconBtn = cn(
+    "h-8 w-8 rounded-xl flex items-center justify-center transition",
+    theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.04]"
+  );
+  const iconCls = cn("h-4 w-4", theme.id === "neo" ? "text-white/70" : "text-gray-600");
 
-                  <div className="absolute inset-0 overflow-hidden">
-                    <div
-                      className={cn(
-                        "absolute -left-[40%] top-[-10%] w-[180%] h-[60%] rounded-[100%] opacity-35",
-                        theme.id === "neo" ? "bg-white/20" : "bg-white/35"
-                      )}
-                      style={{ animation: "zh_wave 2.6s ease-in-out infinite" }}
-                    />
-                    <div
-                      className={cn(
-                        "absolute -left-[30%] top-[2%] w-[160%] h-[55%] rounded-[100%] opacity-25",
-                        theme.id === "neo" ? "bg-white/15" : "bg-white/30"
-                      )}
-                      style={{ animation: "zh_wave 3.2s ease-in-out infinite reverse" }}
-                    />
-                  </div>
+  if (editing) {
+    return (
+      <div className={cn("rounded-2xl p-3 flex flex-wrap items-center gap-2", theme.cardSoft)}>
+        <select
+          className={cn("rounded-xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput)}
+          value={editing.beverage ?? drink.beverage}
+          onChange={(e) => onDraftChange({ beverage: e.target.value })}
+        >
+          {BEVERAGES.map((b) => {
+            const def = resolveBeverage(b.id, beverageOpts);
+            return (
+              <option key={b.id} value={b.id}>
+                {def.icon} {def.label}
+              </option>
+            );
+          })}
+        </select>
+        <input
+          type="time"
+          className={cn("w-24 rounded-xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput)}
+          value={editing.time}
+          onChange={(e) => onDraftChange({ time: e.target.value })}
+        />
+        <input
+          type="number"
+          inputMode="numeric"
+          min={0}
+          step={10}
+          className={cn("w-20 rounded-xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput)}
+          value={editing.ml}
+          onChange={(e) => onDraftChange({ ml: e.target.value })}
+        />
+        <span className={cn("text-[12px]", theme.textMuted)}>ml</span>
+        <div className="ml-auto flex items-center gap-1">
+          <button onClick={onSave} className={iconBtn} title="Enregistrer" aria-label="Enregistrer">
+            <Check className={iconCls} />
+          </button>
+          <button onClick={onCancel} className={iconBtn} title="Annuler" aria-label="Annuler">
+            <X className={iconCls} />
+          </button>
+        </div>
+      </div>
+    );
+  }
 
-                  {bubblesEnabled && (isFull || isPartial) && (
-                    <div className="absolute inset-0 pointer-events-none">
-                      <Bubble x="22%" delay="0s" />
-                      <Bubble x="48%" delay="0.6s" />
-                      <Bubble x="70%" delay="1.1s" />
-                    </div>
-                  )}
-                </div>
+  return (
+    <div className={cn("rounded-2xl px-3 py-2 flex items-center gap-3", theme.cardSoft)}>
+      <div className={cn("text-[13px] font-semibold tabular-nums", theme.textSecondary)}>{formatClock(drink.at)}</div>
+      <div className={cn("text-[13px] font-semibold", theme.textPrimary)} title={beverage.label}>
+        <span aria-hidden="true">{beverage.icon}</span> {drink.ml} ml
+      </div>
+      {(drink.coef ?? 1) !== 1 && (
+        <div className={cn("text-[12px]", theme.textMuted)}>≈{effectiveMl(drink)} ml</div>
+      )}
+      <div className="ml-auto flex items-center gap-1">
+        <button onClick={onEdit} className={iconBtn} title="Modifier" aria-label="Modifier">
+          <Pencil className={iconCls} />
+        </button>
+        <button onClick={onDelete} className={iconBtn} title="Supprimer" aria-label="Supprimer">
+          <Trash2 className={iconCls} />
+        </button>
+      </div>
+    </div>
+  );
+}
 
-                <div className="absolute inset-0 flex items-center justify-center opacity-0 group-hover:opacity-100 transition-opacity">
-                  <span
-                    className={cn(
-                      "text-[11px] font-semibold px-2 py-1 rounded-full",
-                      theme.id === "neo"
-                        ? "bg-white/10 border border-white/10 text-white/80"
-                        : "bg-black/5 border border-black/10 text-gray-700"
-                    )}
-                  >
-                    + / −
-                  </span>
-                </div>
-              </div>
-            </button>
-          );
-        })}
+/**
+ * Cercle de respiration guidée, dans l'anneau du lecteur de routine.
+ * Horloge propre (requestAnimationFrame) pour une animation fluide ; remonté à chaque étape (key).
+ */
+function BreathingPacer({ theme, pattern, paused, cue, soundEnabled, hapticsEnabled }) {
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const lastPhaseRef = useRef(null);
+
+  useEffect(() => {
+    if (paused) return;
+    let raf = 0;
+    let last = performance.now();
+    const frame = (now) => {
+      setElapsedMs((ms) => ms + (now - last));
+      last = now;
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(raf);
+  }, [paused]);
+
+  const at = breathingAt(pattern, elapsedMs);
+
+  // signal au début de chaque phase (y compris la toute première)
+  const phaseKey = `${at.cycle}:${at.index}`;
+  useEffect(() => {
+    if (paused || lastPhaseRef.current === phaseKey) return;
+    lastPhaseRef.current = phaseKey;
+    if (cue === "tone" && soundEnabled) playTone({ freq: PHASE_TONES[at.kind], durationMs: 160, gain: 0.025 });
+    if (cue === "vibrate" && hapticsEnabled) haptic(at.kind === "inhale" ? "inhale" : "phase");
+  }, [phaseKey, paused, cue, soundEnabled, hapticsEnabled, at.kind]);
+
+  const scale = 0.35 + 0.65 * at.scale;
+
+  return (
+    <div className="absolute inset-0 flex items-center justify-center">
+      <div
+        className={cn(
+          "absolute h-[120px] w-[120px] rounded-full",
+          theme.id === "neo" ? "bg-cyan-300/20 border border-cyan-200/40" : "bg-cyan-500/15 border border-cyan-600/30"
+        )}
+        style={{ transform: `scale(${scale})` }}
+        aria-hidden="true"
+      />
+      <div className="relative flex flex-col items-center" aria-live="polite">
+        <div className={cn("text-[15px] font-semibold", theme.textPrimary)}>{PHASE_LABELS[at.kind]}</div>
+        <div className={cn("mt-1 text-[26px] font-semibold leading-none", theme.textPrimary)}>{at.phaseLeftSec}</div>
+        {paused && <div className={cn("mt-1 text-[12px] font-semibold", theme.textMuted)}>En pause</div>}
       </div>
+    </div>
+  );
+}
 
-      <div className={cn("mt-3 text-[12px]", theme.textMuted)}>
-        Clic: +{cupMl}ml • Appui long: −{cupMl}ml
+function RoutineStepRow({ theme, step, index, count, catalog, onChange, onMove, onRemove }) {
+  const iconBtn = cn(
+    "h-8 w-8 rounded-xl flex items-center justify-center transition disabled:opacity-30",
+    theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.04]"
+  );
+  const iconCls = cn("h-4 w-4", theme.id === "neo" ? "text-white/70" : "text-gray-600");
+  const inputCls = cn("w-full rounded-xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput);
+
+  return (
+    <div className={cn("rounded-2xl p-3", theme.cardSoft)}>
+      <div className="flex items-center gap-2">
+        <div className={cn("text-[12px] font-semibold tabular-nums", theme.textMuted)}>{index + 1}.</div>
+        <select
+          className={cn("min-w-0 flex-1 rounded-xl px-2 py-2 text-[13px] font-semibold", theme.surfaceInput)}
+          value={step.exerciseId}
+          onChange={(e) => {
+            const ex = EXERCISE_CATEGORIES.flatMap((c) => catalog[c]).find((x) => x.id === e.target.value);
+            onChange({ exerciseId: e.target.value, durationSec: ex?.durationSec ?? step.durationSec });
+          }}
+        >
+          <option value="">Choisir…</option>
+          {EXERCISE_CATEGORIES.map((c) => (
+            <optgroup key={c} label={CATEGORY_LABELS[c]}>
+              {catalog[c].map((ex) => (
+                <option key={ex.id} value={ex.id}>
+                  {ex.name}
+                </option>
+              ))}
+            </optgroup>
+          ))}
+        </select>
+        <button onClick={() => onMove(-1)} disabled={index === 0} className={iconBtn} title="Monter" aria-label="Monter">
+          <ChevronUp className={iconCls} />
+        </button>
+        <button onClick={() => onMove(1)} disabled={index === count - 1} className={iconBtn} title="Descendre" aria-label="Descendre">
+          <ChevronDown className={iconCls} />
+        </button>
+        <button onClick={onRemove} className={iconBtn} title="Retirer" aria-label="Retirer">
+          <Trash2 className={iconCls} />
+        </button>
+      </div>
+
+      <div className="mt-2 grid grid-cols-3 gap-2">
+        {[
+          { key: "durationSec", label: "Durée (s)", min: DURATION_MIN_SEC, max: DURATION_MAX_SEC },
+          { key: "repeats", label: "Répétitions", min: 1, max: MAX_REPEATS },
+          { key: "restSec", label: "Repos (s)", min: 0, max: MAX_REST_SEC }
+        ].map((f) => (
+          <label key={f.key} className="block">
+            <div className={cn("text-[11px] font-semibold", theme.textMuted)}>{f.label}</div>
+            <input
+              type="number"
+              inputMode="numeric"
+              min={f.min}
+              max={f.max}
+              className={cn("mt-1", inputCls)}
+              value={step[f.key]}
+              onChange={(e) => onChange({ [f.key]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function ExerciseRow({ theme, exercise, isFirst, isLast, onToggle, onMove, onEdit, onDelete }) {
+  const iconBtn = cn(
+    "h-8 w-8 rounded-xl flex items-center justify-center transition disabled:opacity-30",
+    theme.id === "neo" ? "hover:bg-white/[0.10]" : "hover:bg-black/[0.04]"
+  );
+  const iconCls = cn("h-4 w-4", theme.id === "neo" ? "text-white/70" : "text-gray-600");
+
+  return (
+    <div className={cn("rounded-2xl px-3 py-2 flex items-center gap-2", theme.cardSoft, !exercise.enabled && "opacity-60")}>
+      <input
+        type="checkbox"
+        className="h-5 w-5 accent-black"
+        checked={exercise.enabled}
+        onChange={(e) => onToggle(e.target.checked)}
+        title={exercise.enabled ? "Désactiver" : "Activer"}
+      />
+      {exercise.image && <img src={exercise.image} alt="" className="h-8 w-8 rounded-lg object-cover" />}
+      <div className="min-w-0">
+        <div className={cn("text-[13px] font-semibold truncate", theme.textPrimary)}>{exercise.name}</div>
+        <div className={cn("text-[12px]", theme.textMuted)}>{exercise.durationSec}s</div>
+      </div>
+      <div className="ml-auto flex items-center">
+        <button onClick={() => onMove(-1)} disabled={isFirst} className={iconBtn} title="Monter" aria-label="Monter">
+          <ChevronUp className={iconCls} />
+        </button>
+        <button onClick={() => onMove(1)} disabled={isLast} className={iconBtn} title="Descendre" aria-label="Descendre">
+          <ChevronDown className={iconCls} />
+        </button>
+        <button onClick={onEdit} className={iconBtn} title="Modifier" aria-label="Modifier">
+          <Pencil className={iconCls} />
+        </button>
+        <button onClick={onDelete} className={iconBtn} title="Supprimer" aria-label="Supprimer">
+          <Trash2 className={iconCls} />
+        </button>
       </div>
     </div>
   );
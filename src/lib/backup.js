@@ -0,0 +1,331 @@
+import { CURRENT_SCHEMA_VERSION } from "./migrations";
+import { mergeHistory } from "./history";
+import { sanitizeReminderLog } from "./compliance";
+import { sanitizeRoutineCounts } from "./routines";
+import { sanitizeReminderCounts } from "./reminders";
+import { sanitizeDrinks } from "./drinks";
+import { sanitizeImages } from "./exercises";
+
+/**
+ * Export / import de toutes les données.
+ *
+ * JSON : sauvegarde complète versionnée (réglages + stats du jour + historique détaillé + archive + images importées).
+ * CSV : une ligne par jour (lecture dans un tableur) ; réimportable, mais sans les réglages.
+ */
+
+export const BACKUP_FORMAT = "zenhydratation-backup";
+export const BACKUP_VERSION = 1;
+
+const DETAIL_TYPES = ["eye", "stretch", "wake", "sleep"];
+const DAY_KEY_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const CSV_COLUMNS = [
+  "dayKey",
+  "waterMl",
+  "rawMl",
+  "dailyGoalMl",
+  "cupMl",
+  "hotDay",
+  "workoutDay",
+  "eyeBreaks",
+  "stretches",
+  "wakeRoutines",
+  "sleepRoutines",
+  "eyeBreakInterval",
+  "stretchInterval",
+  "focusSessions",
+  "focusSec",
+  "workSec",
+  "routines",
+  ...DETAIL_TYPES.map((t) => `details_${t}`)
+];
+const BOOL_COLUMNS = new Set(["hotDay", "workoutDay"]);
+
+export class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+/* =========================
+ * Export
+ * ========================= */
+export function buildBackup({ state, history, archive, images = {}, exportedAt = new Date().toISOString() }) {
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    exportedAt,
+    state,
+    history,
+    archive,
+    images
+  };
+}
+
+function csvCell(v) {
+  const s = v === undefined || v === null ? "" : String(v);
+  return /[",\n;]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// { "eye-2020": 2, "eye-blink": 1 } -> "eye-2020:2|eye-blink:1"
+function detailsToCell(bucket) {
+  return Object.entries(bucket ?? {})
+    .map(([id, n]) => `${id}:${n}`)
+    .join("|");
+}
+
+function cellToDetails(cell) {
+  const out = {};
+  for (const part of (cell ?? "").split("|")) {
+    const i = part.lastIndexOf(":");
+    if (i <= 0) continue;
+    const n = Number(part.slice(i + 1));
+    if (Number.isFinite(n) && n > 0) out[part.slice(0, i)] = Math.floor(n);
+  }
+  return out;
+}
+
+/** Une ligne par jour de l'historique complet, triée par date. */
+export function historyToCsv(history) {
+  const rows = history.map((e) =>
+    CSV_COLUMNS.map((col) => {
+      if (col.startsWith("details_")) return csvCell(detailsToCell(e.details?.[col.slice(8)]));
+      if (col === "routines") return csvCell(detailsToCell(e.routines));
+      if (BOOL_COLUMNS.has(col)) return e[col] ? "1" : "0";
+      return csvCell(e[col]);
+    }).join(",")
+  );
+  return [CSV_COLUMNS.join(","), ...rows].join("\n");
+}
+
+export function backupFileName(ext, d = new Date()) {
+  const stamp = d.toISOString().slice(0, 10);
+  return `zenhydratation-${stamp}.${ext}`;
+}
+
+/** Déclenche le téléchargement d'un fichier (web / WebView). */
+export function downloadFile(name, content, mime) {
+  const blob = new Blob([content], { type: mime });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/* =========================
+ * Import
+ * ========================= */
+function toCount(v, max = 50_000) {
+  const n = Number(v);
+  return Number.isFinite(n) && n > 0 ? Math.min(max, Math.floor(n)) : 0;
+}
+
+const COUNT_FIELDS = ["waterMl", "rawMl", "eyeBreaks", "stretches", "wakeRoutines", "sleepRoutines", "focusSessions"];
+// durées du jour (s)
+const DAY_SEC_FIELDS = ["focusSec", "workSec"];
+const TARGET_FIELDS = ["dailyGoalMl", "cupMl", "eyeBreakInterval", "stretchInterval"];
+
+// { [exerciseId]: n } : mêmes règles que cellToDetails (compte entier > 0)
+function sanitizeDetailsBucket(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [id, v] of Object.entries(raw)) {
+    const n = Number(v);
+    if (id && Number.isFinite(n) && n > 0) out[id] = Math.floor(n);
+  }
+  return out;
+}
+
+/**
+ * Jour importé, construit champ par champ : seuls les champs présents dans la source sont repris
+ * (une colonne CSV absente ou une ligne d'archive compacte ne remet rien à zéro lors d'une fusion).
+ */
+function sanitizeEntry(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.dayKey !== "string" || !DAY_KEY_RE.test(raw.dayKey)) {
+    return null;
+  }
+  const has = (k) => raw[k] !== undefined && raw[k] !== null;
+  const e = { dayKey: raw.dayKey };
+  for (const k of COUNT_FIELDS) {
+    if (has(k)) e[k] = toCount(raw[k]);
+  }
+  for (const k of DAY_SEC_FIELDS) {
+    if (has(k)) e[k] = toCount(raw[k], 24 * 3600);
+  }
+  for (const k of TARGET_FIELDS) {
+    if (has(k) && toCount(raw[k]) > 0) e[k] = toCount(raw[k]);
+  }
+  for (const k of BOOL_COLUMNS) {
+    if (has(k)) e[k] = !!raw[k];
+  }
+  if (has("drinks")) e.drinks = sanitizeDrinks(raw.drinks);
+  if (raw.details && typeof raw.details === "object") {
+    e.details = {};
+    for (const t of DETAIL_TYPES) e.details[t] = sanitizeDetailsBucket(raw.details[t]);
+  }
+  if (has("reminders")) e.reminders = sanitizeReminderCounts(raw.reminders);
+  if (has("reminderLog")) e.reminderLog = sanitizeReminderLog(raw.reminderLog);
+  if (has("routines")) e.routines = sanitizeRoutineCounts(raw.routines);
+  return e;
+}
+
+function sanitizeEntries(list, label) {
+  const out = [];
+  let skipped = 0;
+  for (const raw of list) {
+    const e = sanitizeEntry(raw);
+    if (e) out.push(e);
+    else skipped += 1;
+  }
+  if (list.length > 0 && out.length === 0) throw new BackupError(`Aucun jour valide dans ${label}.`);
+  return { entries: out, skipped };
+}
+
+function parseJsonBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new BackupError("Fichier JSON illisible.");
+  }
+  if (!data || data.format !== BACKUP_FORMAT) throw new BackupError("Ce fichier n'est pas une sauvegarde Zenhydratation.");
+  if (typeof data.version !== "number" || data.version > BACKUP_VERSION) {
+    throw new BackupError(`Version de sauvegarde non prise en charge (${data.version}).`);
+  }
+  if (typeof data.schemaVersion === "number" && data.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new BackupError("Sauvegarde créée par une version plus récente de l'application.");
+  }
+  if (!Array.isArray(data.history)) throw new BackupError("Historique manquant dans la sauvegarde.");
+
+  const archive = data.archive && typeof data.archive === "object" && !Array.isArray(data.archive) ? data.archive : {};
+  const all = mergeHistory(archive, data.history);
+  const { entries, skipped } = sanitizeEntries(all, "la sauvegarde");
+  const state = data.state && typeof data.state === "object" && !Array.isArray(data.state) ? data.state : null;
+
+  // images importées des exercices (absentes des sauvegardes plus anciennes) : même budget que dans l'app
+  const images = data.images === undefined ? null : sanitizeImages(data.images);
+
+  return { kind: "json", exportedAt: data.exportedAt ?? null, state, history: entries, images, skipped };
+}
+
+// découpe une ligne CSV en respectant les guillemets
+function splitCsvLine(line) {
+  const cells = [];
+  let cur = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; i += 1) {
+    const c = line[i];
+    if (quoted) {
+      if (c === '"' && line[i + 1] === '"') {
+        cur += '"';
+        i += 1;
+      } else if (c === '"') quoted = false;
+      else cur += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") {
+      cells.push(cur);
+      cur = "";
+    } else cur += c;
+  }
+  cells.push(cur);
+  return cells;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter((l) => l.trim() !== "");
+  if (lines.length === 0) throw new BackupError("Fichier CSV vide.");
+  const header = splitCsvLine(lines[0]).map((h) => h.trim());
+  if (!header.includes("dayKey")) throw new BackupError("Colonne dayKey absente du CSV.");
+
+  const rows = lines.slice(1).map((line) => {
+    const cells = splitCsvLine(line);
+    const row = {};
+    header.forEach((col, i) => {
+      const v = (cells[i] ?? "").trim();
+      // cellule vide = valeur inconnue (ex. jour archivé sans rawMl) : le champ reste absent
+      if (v === "") return;
+      if (col.startsWith("details_")) {
+        row.details = { ...(row.details ?? {}), [col.slice(8)]: cellToDetails(v) };
+      } else if (col === "routines") {
+        row.routines = cellToDetails(v);
+      } else if (BOOL_COLUMNS.has(col)) {
+        row[col] = v === "1" || v.toLowerCase() === "true";
+      } else {
+        row[col] = v;
+      }
+    });
+    return row;
+  });
+
+  const { entries, skipped } = sanitizeEntries(rows, "le CSV");
+  return { kind: "csv", exportedAt: null, state: null, history: entries, images: null, skipped };
+}
+
+/**
+ * Lit un fichier importé (JSON ou CSV, d'après le nom puis le contenu).
+ * Retourne { kind, exportedAt, state, history, images, skipped } ou lève une BackupError.
+ */
+export function parseBackupFile(text, fileName = "") {
+  const trimmed = (text ?? "").trim();
+  if (!trimmed) throw new BackupError("Fichier vide.");
+  const isJson = /\.json$/i.test(fileName) || (!/\.csv$/i.test(fileName) && trimmed.startsWith("{"));
+  return isJson ? parseJsonBackup(trimmed) : parseCsv(trimmed);
+}
+
+function sameDay(a, b) {
+  const keys = ["waterMl", "eyeBreaks", "stretches", "wakeRoutines", "sleepRoutines"];
+  return keys.every((k) => (a[k] ?? 0) === (b[k] ?? 0));
+}
+
+/**
+ * Aperçu avant import.
+ * merge : jours nouveaux ajoutés, jours existants mis à jour champ par champ — les champs absents de l'import
+ * (boissons, journal des rappels… qu'un CSV ou une ligne d'archive ne portent pas) restent ceux de l'appareil.
+ * replace : l'historique actuel est remplacé en entier.
+ * Aujourd'hui n'est jamais écrasé par l'historique importé (il vient des stats du jour).
+ */
+export function previewImport(current, incoming, todayKey) {
+  const byDay = new Map(current.map((e) => [e.dayKey, e]));
+  const incomingDays = new Set();
+  let added = 0;
+  let changed = 0;
+  let unchanged = 0;
+  for (const e of incoming) {
+    if (e.dayKey === todayKey) continue;
+    incomingDays.add(e.dayKey);
+    const prev = byDay.get(e.dayKey);
+    if (!prev) added += 1;
+    else if (sameDay(prev, e)) unchanged += 1;
+    else changed += 1;
+  }
+  const removed = current.filter((e) => e.dayKey !== todayKey && !incomingDays.has(e.dayKey)).length;
+  const days = [...incomingDays].sort();
+  return {
+    total: incomingDays.size,
+    added,
+    changed,
+    unchanged,
+    removed,
+    first: days[0] ?? null,
+    last: days[days.length - 1] ?? null
+  };
+}
+
+/** Historique complet résultant de l'import (à redécouper en jours détaillés + archive). */
+export function applyImport(current, incoming, mode, todayKey) {
+  const today = current.find((e) => e.dayKey === todayKey);
+  const map = new Map(mode === "replace" ? [] : current.map((e) => [e.dayKey, e]));
+  for (const e of incoming) {
+    if (e.dayKey === todayKey) continue;
+    const prev = map.get(e.dayKey);
+    map.set(e.dayKey, prev ? { ...prev, ...e } : e);
+  }
+  if (today) map.set(todayKey, today);
+  return [...map.values()].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+}
@@ -0,0 +1,105 @@
+/**
+ * Respiration guidée : motifs (inspire / rétention / expire / rétention poumons vides) et position
+ * dans le cycle à un instant donné, pour animer le cercle du lecteur de routine.
+ *
+ * Pattern shape: { id, name, phases: [{ kind: "inhale"|"hold"|"exhale"|"holdOut", sec }] }
+ * Les phases de 0 s sont ignorées ; une étape de routine embarque un motif par son id (step.breathing).
+ */
+
+export const PHASE_LABELS = {
+  inhale: "Inspirez",
+  hold: "Retenez",
+  exhale: "Expirez",
+  holdOut: "Poumons vides"
+};
+
+const PHASE_KINDS = ["inhale", "hold", "exhale", "holdOut"];
+
+export const CUSTOM_PATTERN_ID = "custom";
+export const PHASE_MAX_SEC = 12;
+
+export const DEFAULT_CUSTOM_PATTERN = { inhale: 4, hold: 2, exhale: 6, holdOut: 0 };
+
+function pattern(id, name, secs) {
+  return { id, name, phases: PHASE_KINDS.map((kind, i) => ({ kind, sec: secs[i] })).filter((p) => p.sec > 0) };
+}
+
+export const BREATHING_PATTERNS = [
+  pattern("box", "Carrée 4-4-4-4", [4, 4, 4, 4]),
+  pattern("478", "4-7-8", [4, 7, 8, 0]),
+  pattern("coherent", "Cohérence cardiaque 5,5", [5.5, 0, 5.5, 0]),
+  pattern("calm", "Calmante 4-6", [4, 0, 6, 0])
+];
+
+// cue sonore par phase : montée à l'inspiration, descente à l'expiration
+export const PHASE_TONES = { inhale: 660, hold: 550, exhale: 440, holdOut: 550 };
+
+export const BREATHING_CUES = [
+  { id: "tone", label: "Son" },
+  { id: "vibrate", label: "Vibration" },
+  { id: "off", label: "Aucun" }
+];
+
+export const DEFAULT_BREATHING = { cue: "tone", custom: DEFAULT_CUSTOM_PATTERN };
+
+export function sanitizeCustomPattern(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const k of PHASE_KINDS) {
+    const n = Number(r[k]);
+    // rétentions facultatives, inspiration et expiration d'au moins 1 s
+    const min = k === "inhale" || k === "exhale" ? 1 : 0;
+    out[k] = Number.isFinite(n) ? Math.min(PHASE_MAX_SEC, Math.max(min, Math.round(n * 2) / 2)) : DEFAULT_CUSTOM_PATTERN[k];
+  }
+  return out;
+}
+
+export function sanitizeBreathing(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  return {
+    cue: BREATHING_CUES.some((c) => c.id === r.cue) ? r.cue : DEFAULT_BREATHING.cue,
+    custom: sanitizeCustomPattern(r.custom)
+  };
+}
+
+export function isPatternId(id) {
+  return id === CUSTOM_PATTERN_ID || BREATHING_PATTERNS.some((p) => p.id === id);
+}
+
+/** Motif par id (le motif perso est construit à partir des réglages), ou null. */
+export function patternById(id, custom = DEFAULT_CUSTOM_PATTERN) {
+  if (id === CUSTOM_PATTERN_ID) {
+    const c = sanitizeCustomPattern(custom);
+    return pattern(CUSTOM_PATTERN_ID, `Perso ${PHASE_KINDS.map((k) => c[k]).join("-")}`, PHASE_KINDS.map((k) => c[k]));
+  }
+  return BREATHING_PATTERNS.find((p) => p.id === id) ?? null;
+}
+
+export function cycleSec(p) {
+  return p.phases.reduce((acc, ph) => acc + ph.sec, 0);
+}
+
+function easeInOut(x) {
+  return x < 0.5 ? 2 * x * x : 1 - (-2 * x + 2) ** 2 / 2;
+}
+
+/**
+ * Où en est-on après `elapsedMs` de respiration ?
+ * Retourne { index, kind, cycle, phaseLeftSec, scale } — scale de 0 (poumons vides) à 1 (pleins).
+ */
+export function breathingAt(p, elapsedMs) {
+  const total = cycleSec(p) * 1000;
+  const cycle = Math.floor(elapsedMs / total);
+  let t = elapsedMs - cycle * total;
+  for (const [index, ph] of p.phases.entries()) {
+    const ms = ph.sec * 1000;
+    if (t < ms || index === p.phases.length - 1) {
+      const x = Math.min(1, t / ms);
+      const scale =
+        ph.kind === "inhale" ? easeInOut(x) : ph.kind === "exhale" ? 1 - easeInOut(x) : ph.kind === "hold" ? 1 : 0;
+      return { index, kind: ph.kind, cycle, phaseLeftSec: Math.max(0, Math.ceil((ms - t) / 1000)), scale };
+    }
+    t -= ms;
+  }
+  return { index: 0, kind: "inhale", cycle, phaseLeftSec: 0, scale: 0 };
+}
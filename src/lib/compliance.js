@@ -0,0 +1,121 @@
+import { REMINDER_KINDS } from "./reminders";
+
+/**
+ * Suivi des rappels : chaque rappel affiché est journalisé avec son issue et le délai de réponse.
+ *
+ * Log shape (todayStats.reminderLog, jours détaillés seulement) :
+ * [{ kind, at: affiché (ms), outcome: "done"|"snoozed"|"skipped"|null, delaySec: number|null }]
+ * outcome null = pas (encore) de réponse : compté "ignoré" dans les stats.
+ * Les compteurs journaliers (todayStats.reminders) restent la source pour les jours archivés.
+ */
+
+// garde-fou : une journée n'a jamais autant de rappels, sauf bug
+const MAX_LOG_PER_DAY = 300;
+
+export const OUTCOME_LABELS = {
+  done: "Faits",
+  snoozed: "Reportés",
+  skipped: "Passés",
+  ignored: "Ignorés"
+};
+
+export function logReminderShown(log, { kind, at }) {
+  const next = [...(log ?? []), { kind, at, outcome: null, delaySec: null }];
+  return next.length > MAX_LOG_PER_DAY ? next.slice(next.length - MAX_LOG_PER_DAY) : next;
+}
+
+/** Attribue l'issue au dernier rappel sans réponse de ce type. */
+export function logReminderOutcome(log, kind, outcome, now) {
+  const list = log ?? [];
+  for (let i = list.length - 1; i >= 0; i -= 1) {
+    const e = list[i];
+    if (e.kind === kind && e.outcome === null) {
+      const next = [...list];
+      next[i] = { ...e, outcome, delaySec: Math.max(0, Math.round((now - e.at) / 1000)) };
+      return next;
+    }
+  }
+  return list;
+}
+
+export function sanitizeReminderLog(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((e) => e && REMINDER_KINDS.includes(e.kind) && Number.isFinite(e.at))
+    .slice(-MAX_LOG_PER_DAY)
+    .map((e) => ({
+      kind: e.kind,
+      at: e.at,
+      outcome: ["done", "snoozed", "skipped"].includes(e.outcome) ? e.outcome : null,
+      delaySec: Number.isFinite(e.delaySec) ? e.delaySec : null
+    }));
+}
+
+/* =========================
+ * Agrégats
+ * ========================= */
+function emptyRow() {
+  return { shown: 0, done: 0, snoozed: 0, skipped: 0, ignored: 0 };
+}
+
+function withRate(row) {
+  return { ...row, rate: row.shown > 0 ? Math.round((row.done / row.shown) * 100) : null };
+}
+
+/** Totaux d'un jour (compteurs journaliers, disponibles aussi pour les jours archivés). */
+export function dayCompliance(entry, kinds = REMINDER_KINDS) {
+  const row = emptyRow();
+  for (const k of kinds) {
+    const c = entry.reminders?.[k];
+    if (!c) continue;
+    row.shown += c.shown ?? 0;
+    row.done += c.done ?? 0;
+    row.snoozed += c.snoozed ?? 0;
+    row.skipped += c.skipped ?? 0;
+  }
+  row.ignored = Math.max(0, row.shown - row.done - row.snoozed - row.skipped);
+  return withRate(row);
+}
+
+/** Une ligne par jour : { dayKey, shown, done, snoozed, skipped, ignored, rate (% faits) }. */
+export function complianceByDay(history, kinds = REMINDER_KINDS) {
+  return history.map((e) => ({ dayKey: e.dayKey, ...dayCompliance(e, kinds) }));
+}
+
+/** Totaux sur une période. */
+export function complianceTotals(history, kinds = REMINDER_KINDS) {
+  const total = emptyRow();
+  for (const e of history) {
+    const r = dayCompliance(e, kinds);
+    for (const k of Object.keys(total)) total[k] += r[k];
+  }
+  return withRate(total);
+}
+
+/** 24 lignes { hour, shown, done, …, rate } d'après l'heure d'affichage (jours détaillés). */
+export function complianceByHour(history, kinds = REMINDER_KINDS) {
+  const rows = Array.from({ length: 24 }, (_, hour) => ({ hour, ...emptyRow() }));
+  for (const e of history) {
+    for (const r of e.reminderLog ?? []) {
+      if (!kinds.includes(r.kind)) continue;
+      const row = rows[new Date(r.at).getHours()];
+      row.shown += 1;
+      row[r.outcome ?? "ignored"] += 1;
+    }
+  }
+  return rows.map(withRate);
+}
+
+/** Délai de réponse médian (s) des rappels faits, ou null. */
+export function medianResponseSec(history, kinds = REMINDER_KINDS) {
+  const delays = [];
+  for (const e of history) {
+    for (const r of e.reminderLog ?? []) {
+      if (kinds.includes(r.kind) && r.outcome === "done" && Number.isFinite(r.delaySec)) delays.push(r.delaySec);
+    }
+  }
+  if (delays.length === 0) return null;
+  delays.sort((a, b) => a - b);
+  const mid = Math.floor(delays.length / 2);
+  return delays.length % 2 ? delays[mid] : Math.round((delays[mid - 1] + delays[mid]) / 2);
+}
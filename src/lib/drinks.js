@@ -0,0 +1,147 @@
+/**
+ * Journal des prises d'eau.
+ *
+ * Drink shape:
+ * { id, at, ml, beverage, coef }
+ * - at: timestamp (ms)
+ * - ml: volume bu (brut)
+ * - beverage: id de boisson ("water" par défaut)
+ * - coef: coefficient d'hydratation figé au moment de la prise
+ */
+
+/**
+ * Boissons disponibles.
+ * coef = part du volume comptée comme hydratation (ordre de grandeur, pas une mesure médicale).
+ * defaultMl = null → utilise la dose réglée par l'utilisateur (cupMl).
+ */
+export const BEVERAGES = [
+  { id: "water", label: "Eau", icon: "💧", defaultMl: null, coef: 1 },
+  { id: "tea", label: "Thé", icon: "🍵", defaultMl: 250, coef: 0.95 },
+  { id: "coffee", label: "Café", icon: "☕", defaultMl: 150, coef: 0.8 },
+  { id: "juice", label: "Jus", icon: "🧃", defaultMl: 200, coef: 0.9 },
+  { id: "soup", label: "Soupe", icon: "🥣", defaultMl: 300, coef: 0.85 },
+  { id: "sparkling", label: "Eau gazeuse", icon: "🫧", defaultMl: 330, coef: 1 },
+  { id: "custom", label: "Perso", icon: "🥤", defaultMl: 250, coef: 1 }
+];
+
+export const DEFAULT_CUSTOM_BEVERAGE = { label: "Perso", ml: 250, coef: 1 };
+
+export function sanitizeCustomBeverage(raw) {
+  const c = raw && typeof raw === "object" ? raw : {};
+  const ml = Number(c.ml);
+  const coef = Number(c.coef);
+  return {
+    label: typeof c.label === "string" && c.label.trim() ? c.label.trim().slice(0, 24) : DEFAULT_CUSTOM_BEVERAGE.label,
+    ml: Number.isFinite(ml) ? Math.min(1000, Math.max(50, Math.round(ml))) : DEFAULT_CUSTOM_BEVERAGE.ml,
+    coef: Number.isFinite(coef) ? Math.min(1.5, Math.max(0, Math.round(coef * 100) / 100)) : DEFAULT_CUSTOM_BEVERAGE.coef
+  };
+}
+
+/**
+ * Définition effective d'une boisson (la boisson "custom" prend les réglages utilisateur).
+ * Un id inconnu retombe sur l'eau.
+ */
+export function resolveBeverage(id, { cupMl = 250, custom = DEFAULT_CUSTOM_BEVERAGE } = {}) {
+  const base = BEVERAGES.find((b) => b.id === id) ?? BEVERAGES[0];
+  if (base.id === "custom") {
+    return { ...base, label: custom.label, defaultMl: custom.ml, coef: custom.coef };
+  }
+  return { ...base, defaultMl: base.defaultMl ?? cupMl };
+}
+
+let seq = 0;
+
+export function createDrink({ ml, beverage = "water", coef = 1, at = Date.now() }) {
+  seq = (seq + 1) % 1000;
+  return {
+    id: `${at.toString(36)}-${seq.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+    at,
+    ml: Math.max(0, Math.round(Number(ml) || 0)),
+    beverage,
+    coef
+  };
+}
+
+export function sortDrinks(drinks) {
+  return [...drinks].sort((a, b) => a.at - b.at);
+}
+
+/** Nettoie un tableau chargé depuis le stockage (entrées invalides ignorées). */
+export function sanitizeDrinks(raw) {
+  if (!Array.isArray(raw)) return [];
+  const out = [];
+  for (const d of raw) {
+    if (!d || typeof d !== "object") continue;
+    const at = Number(d.at);
+    const ml = Number(d.ml);
+    if (!Number.isFinite(at) || !Number.isFinite(ml) || ml <= 0) continue;
+    const beverage = typeof d.beverage === "string" && d.beverage ? d.beverage : "water";
+    const coef = Number(d.coef);
+    out.push({
+      id: typeof d.id === "string" && d.id ? d.id : createDrink({ ml, at }).id,
+      at,
+      ml: Math.round(ml),
+      beverage,
+      coef: Number.isFinite(coef) && coef >= 0 ? coef : resolveBeverage(beverage).coef
+    });
+  }
+  return sortDrinks(out);
+}
+
+/** Volume réellement comptabilisé pour l'hydratation */
+export function effectiveMl(drink) {
+  return Math.round((drink.ml ?? 0) * (drink.coef ?? 1));
+}
+
+/** Total brut (volume bu) */
+export function totalMl(drinks) {
+  return (drinks ?? []).reduce((acc, d) => acc + (d.ml ?? 0), 0);
+}
+
+/** Total effectif (volume × coefficient) */
+export function totalEffectiveMl(drinks) {
+  return (drinks ?? []).reduce((acc, d) => acc + effectiveMl(d), 0);
+}
+
+/** Dernière prise (la plus récente), ou null. */
+export function lastDrink(drinks) {
+  let last = null;
+  for (const d of drinks ?? []) {
+    if (!last || d.at >= last.at) last = d;
+  }
+  return last;
+}
+
+export function removeDrink(drinks, id) {
+  return drinks.filter((d) => d.id !== id);
+}
+
+export function updateDrink(drinks, id, patch) {
+  return sortDrinks(drinks.map((d) => (d.id === id ? { ...d, ...patch, id } : d)));
+}
+
+/** Volume effectif par heure (0..23) pour un graphique journalier. */
+export function drinksByHour(drinks) {
+  const hours = Array.from({ length: 24 }, (_, h) => ({ hour: h, ml: 0, rawMl: 0 }));
+  for (const d of drinks ?? []) {
+    const h = new Date(d.at).getHours();
+    hours[h].ml += effectiveMl(d);
+    hours[h].rawMl += d.ml ?? 0;
+  }
+  return hours;
+}
+
+/** "HH:MM" local */
+export function formatClock(at) {
+  const d = new Date(at);
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+/** Remplace l'heure (HH:MM) d'un timestamp en gardant le même jour. */
+export function withClock(at, hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm ?? "").trim());
+  if (!m) return at;
+  const d = new Date(at);
+  d.setHours(Math.min(23, Number(m[1])), Math.min(59, Number(m[2])), 0, 0);
+  return d.getTime();
+}
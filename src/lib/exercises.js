@@ -0,0 +1,264 @@
+import { isPatternId } from "./breathing";
+
+/**
+ * Bibliothèque d'exercices, modifiable par l'utilisateur.
+ *
+ * Catalog shape:
+ * { eye|stretch|wake|sleep: [{ id, name, desc, durationSec, image, breathing, enabled }], removed: { [id]: name } }
+ * - id : stable, jamais modifié par une édition ; les compteurs `details` de l'historique y sont rattachés
+ * - removed : nom des exercices supprimés, pour continuer à libeller leurs compteurs dans les Stats
+ * - image : URL http(s), "" = pas d'image ou image importée. Une image importée (data:image) est rangée à part,
+ *   { [id]: data URL } sous sa propre clé de stockage : l'état principal est réécrit à chaque seconde.
+ * - breathing : id d'un motif de respiration guidée (lib/breathing.js), "" = simple compte à rebours
+ */
+
+export const EXERCISE_CATEGORIES = ["eye", "stretch", "wake", "sleep"];
+
+export const CATEGORY_LABELS = { eye: "Yeux", stretch: "Étirements", wake: "Réveil", sleep: "Coucher" };
+
+export const MAX_EXERCISES_PER_CATEGORY = 30;
+export const NAME_MAX = 40;
+export const DESC_MAX = 200;
+export const DURATION_MIN_SEC = 5;
+export const DURATION_MAX_SEC = 600;
+// une image importée est stockée en data URL : on la garde petite, et toutes ensemble dans un budget
+export const IMAGE_MAX_BYTES = 200_000;
+export const IMAGES_TOTAL_MAX_BYTES = 1_000_000;
+
+const ID_RE = /^[a-z0-9-]{1,48}$/;
+const IMAGE_RE = /^(https?:\/\/|data:image\/(png|jpeg|gif|webp|svg\+xml);base64,)/i;
+const DATA_IMAGE_RE = /^data:image\/(png|jpeg|gif|webp|svg\+xml);base64,/i;
+
+const DEFAULT_LISTS = {
+  eye: [
+    { id: "eye-2020", name: "Règle 20-20-20", durationSec: 20, desc: "Regardez un objet à ~6 mètres pendant 20 secondes." },
+    { id: "eye-blink", name: "Clignements", durationSec: 20, desc: "Clignez lentement des yeux (10 fois environ)." },
+    { id: "eye-massage", name: "Massage des yeux", durationSec: 20, desc: "Fermez les yeux et massez doucement les tempes." }
+  ],
+  stretch: [
+    { id: "st-neck", name: "Rotation du cou", durationSec: 30, desc: "Tournez lentement la tête de gauche à droite." },
+    { id: "st-shoulders", name: "Étirement des épaules", durationSec: 30, desc: "Roulez vos épaules en arrière puis en avant." },
+    { id: "st-arms", name: "Étirement des bras", durationSec: 30, desc: "Tendez les bras, entrelacez les doigts, étirez doucement." },
+    { id: "st-back", name: "Flexion du dos", durationSec: 30, desc: "Penchez-vous vers l'avant doucement (sans douleur)." }
+  ],
+  wake: [
+    { id: "wk-breath", name: "Respiration énergisante", durationSec: 60, desc: "Inspirez profondément par le nez, expirez lentement." },
+    { id: "wk-mobility", name: "Mobilité douce", durationSec: 60, desc: "Bougez cou/épaules/hanches, amplitude confortable." },
+    { id: "wk-posture", name: "Activation posturale", durationSec: 45, desc: "Redressez-vous, omoplates basses, respiration calme." }
+  ],
+  sleep: [
+    {
+      id: "sl-breath",
+      name: "Respiration calmante",
+      durationSec: 60,
+      desc: "Inspirez 4s, expirez 6s. Relâchez les épaules.",
+      breathing: "calm"
+    },
+    { id: "sl-neck", name: "Détente nuque/épaules", durationSec: 45, desc: "Relâchez nuque/épaules, micro-rotations très lentes." },
+    { id: "sl-scan", name: "Scan corporel", durationSec: 90, desc: "Parcourez le corps et relâchez progressivement." }
+  ]
+};
+
+export function defaultCatalog() {
+  const out = { removed: {} };
+  for (const c of EXERCISE_CATEGORIES) {
+    out[c] = DEFAULT_LISTS[c].map((ex) => ({ breathing: "", ...ex, image: "", enabled: true }));
+  }
+  return out;
+}
+
+/**
+ * Valide un exercice saisi dans l'éditeur.
+ * Retourne { value } (champs nettoyés, sans id) ou { error } (message affichable).
+ */
+export function validateExercise(draft) {
+  const name = String(draft?.name ?? "").trim();
+  const desc = String(draft?.desc ?? "").trim();
+  const durationSec = Number(draft?.durationSec);
+  const image = String(draft?.image ?? "").trim();
+  const breathing = String(draft?.breathing ?? "");
+
+  if (!name) return { error: "Donnez un nom à l’exercice." };
+  if (name.length > NAME_MAX) return { error: `Nom trop long (${NAME_MAX} caractères max).` };
+  if (desc.length > DESC_MAX) return { error: `Description trop longue (${DESC_MAX} caractères max).` };
+  if (!Number.isFinite(durationSec) || durationSec < DURATION_MIN_SEC || durationSec > DURATION_MAX_SEC) {
+    return { error: `Durée entre ${DURATION_MIN_SEC} et ${DURATION_MAX_SEC} secondes.` };
+  }
+  if (image && !IMAGE_RE.test(image)) return { error: "Image : lien http(s) ou fichier image uniquement." };
+  if (image.length > IMAGE_MAX_BYTES) return { error: "Image trop lourde (200 Ko max)." };
+  if (breathing && !isPatternId(breathing)) return { error: "Motif de respiration inconnu." };
+
+  return { value: { name, desc, durationSec: Math.round(durationSec), image, breathing } };
+}
+
+function sanitizeItem(raw) {
+  if (!raw || typeof raw !== "object" || typeof raw.id !== "string" || !ID_RE.test(raw.id)) return null;
+  // catalogues enregistrés avant la respiration guidée : les exercices par défaut reprennent leur motif
+  const fallback = EXERCISE_CATEGORIES.flatMap((c) => DEFAULT_LISTS[c]).find((d) => d.id === raw.id)?.breathing ?? "";
+  const { value } = validateExercise({
+    ...raw,
+    breathing: raw.breathing === undefined ? fallback : isPatternId(raw.breathing) ? raw.breathing : ""
+  });
+  if (!value) return null;
+  return { id: raw.id, ...value, enabled: raw.enabled !== false };
+}
+
+export function sanitizeCatalog(raw) {
+  if (!raw || typeof raw !== "object") return defaultCatalog();
+  const out = { removed: {} };
+  const seen = new Set();
+  for (const c of EXERCISE_CATEGORIES) {
+    const list = Array.isArray(raw[c]) ? raw[c] : defaultCatalog()[c];
+    out[c] = [];
+    for (const item of list) {
+      const ex = sanitizeItem(item);
+      if (!ex || seen.has(ex.id) || out[c].length >= MAX_EXERCISES_PER_CATEGORY) continue;
+      seen.add(ex.id);
+      out[c].push(ex);
+    }
+  }
+  if (raw.removed && typeof raw.removed === "object") {
+    for (const [id, name] of Object.entries(raw.removed)) {
+      if (ID_RE.test(id) && typeof name === "string" && !seen.has(id)) out.removed[id] = name.slice(0, NAME_MAX);
+    }
+  }
+  return out;
+}
+
+/** Exercices actifs par catégorie, dans l'ordre choisi (ce que jouent les routines). */
+export function activeExercises(catalog) {
+  const out = {};
+  for (const c of EXERCISE_CATEGORIES) out[c] = catalog[c].filter((ex) => ex.enabled);
+  return out;
+}
+
+/** id -> nom, y compris les exercices désactivés ou supprimés (compteurs de l'historique). */
+export function exerciseLabels(catalog) {
+  const m = { ...catalog.removed };
+  for (const c of EXERCISE_CATEGORIES) {
+    for (const ex of catalog[c]) m[ex.id] = ex.name;
+  }
+  return m;
+}
+
+function newId(category, catalog, now) {
+  const prefix = `custom-${category}-${now.toString(36)}`;
+  let id = prefix;
+  for (let i = 2; exerciseLabels(catalog)[id] !== undefined; i += 1) id = `${prefix}-${i}`;
+  return id;
+}
+
+/* =========================
+ * Édition (toutes pures : retournent un nouveau catalogue, inchangé si l'opération est impossible)
+ * ========================= */
+export function addExercise(catalog, category, value, now = Date.now()) {
+  if (catalog[category].length >= MAX_EXERCISES_PER_CATEGORY) return catalog;
+  const ex = { id: newId(category, catalog, now), ...value, enabled: true };
+  return { ...catalog, [category]: [...catalog[category], ex] };
+}
+
+/** Renommer ne change pas l'id : les compteurs déjà enregistrés suivent le nouveau nom. */
+export function updateExercise(catalog, category, id, value) {
+  return { ...catalog, [category]: catalog[category].map((ex) => (ex.id === id ? { ...ex, ...value } : ex)) };
+}
+
+export function setExerciseEnabled(catalog, category, id, enabled) {
+  return updateExercise(catalog, category, id, { enabled });
+}
+
+/** delta -1 = monter, +1 = descendre */
+export function moveExercise(catalog, category, id, delta) {
+  const list = [...catalog[category]];
+  const i = list.findIndex((ex) => ex.id === id);
+  const j = i + delta;
+  if (i < 0 || j < 0 || j >= list.length) return catalog;
+  [list[i], list[j]] = [list[j], list[i]];
+  return { ...catalog, [category]: list };
+}
+
+export function removeExercise(catalog, category, id) {
+  const ex = catalog[category].find((e) => e.id === id);
+  if (!ex) return catalog;
+  return {
+    ...catalog,
+    [category]: catalog[category].filter((e) => e.id !== id),
+    removed: { ...catalog.removed, [id]: ex.name }
+  };
+}
+
+/** Remet la liste par défaut d'une catégorie ; les exercices perso retirés gardent leur nom pour les Stats. */
+export function resetCategory(catalog, category) {
+  const defaults = defaultCatalog()[category];
+  const removed = { ...catalog.removed };
+  for (const ex of catalog[category]) {
+    if (!defaults.some((d) => d.id === ex.id)) removed[ex.id] = ex.name;
+  }
+  for (const d of defaults) delete removed[d.id];
+  return { ...catalog, [category]: defaults, removed };
+}
+
+/* =========================
+ * Images importées (rangées hors du catalogue)
+ * ========================= */
+export function isStoredImage(image) {
+  return DATA_IMAGE_RE.test(image ?? "");
+}
+
+export function imagesBytes(images) {
+  return Object.values(images).reduce((acc, image) => acc + image.length, 0);
+}
+
+/** { [exerciseId]: data URL } valides, dans le budget total (les premières gardées). */
+export function sanitizeImages(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  let total = 0;
+  for (const [id, image] of Object.entries(raw)) {
+    if (!ID_RE.test(id) || typeof image !== "string" || !isStoredImage(image) || image.length > IMAGE_MAX_BYTES) continue;
+    if (total + image.length > IMAGES_TOTAL_MAX_BYTES) continue;
+    total += image.length;
+    out[id] = image;
+  }
+  return out;
+}
+
+/** Image d'un exercice : lien gardé dans le catalogue, image importée dans `images`. */
+export function setStoredImage(images, id, image) {
+  const out = { ...images };
+  delete out[id];
+  if (isStoredImage(image)) out[id] = image;
+  return out;
+}
+
+/** Retire les images des exercices qui ne sont plus dans le catalogue (même objet si rien à retirer). */
+export function pruneImages(images, catalog) {
+  const ids = new Set(EXERCISE_CATEGORIES.flatMap((c) => catalog[c].map((ex) => ex.id)));
+  const stale = Object.keys(images).filter((id) => !ids.has(id));
+  if (stale.length === 0) return images;
+  const out = { ...images };
+  for (const id of stale) delete out[id];
+  return out;
+}
+
+/** Catalogues enregistrés avant le rangement à part : les data URL en sortent. */
+export function extractImages(catalog) {
+  const images = {};
+  const out = { ...catalog };
+  for (const c of EXERCISE_CATEGORIES) {
+    out[c] = catalog[c].map((ex) => {
+      if (!isStoredImage(ex.image)) return ex;
+      images[ex.id] = ex.image;
+      return { ...ex, image: "" };
+    });
+  }
+  return { catalog: out, images };
+}
+
+/** Catalogue affiché / joué : chaque exercice avec son image importée. */
+export function withImages(catalog, images) {
+  const out = { ...catalog };
+  for (const c of EXERCISE_CATEGORIES) {
+    out[c] = catalog[c].map((ex) => (images[ex.id] ? { ...ex, image: images[ex.id] } : ex));
+  }
+  return out;
+}
@@ -0,0 +1,114 @@
+/**
+ * Mode focus (type Pomodoro) : cycles travail / pause courte / pause longue.
+ *
+ * Comme les rappels (lib/timers.js), chaque phase a une échéance absolue : pas de dérive quand
+ * l'onglet est ralenti ou le téléphone en veille.
+ *
+ * Session shape:
+ * { phase: "work"|"short"|"long", endsAt: ms, pausedLeft: s | null, completed: number, deferred: ["eye"|"stretch"] }
+ * - completed : phases de travail terminées dans cette session (la pause longue revient tous les `longEvery`)
+ * - deferred : rappels yeux / étirements retenus pendant la phase de travail, proposés à la pause suivante
+ */
+
+export const FOCUS_PHASES = ["work", "short", "long"];
+
+export const FOCUS_PHASE_LABELS = { work: "Concentration", short: "Pause courte", long: "Pause longue" };
+
+export const DEFAULT_FOCUS = { workMin: 25, shortMin: 5, longMin: 15, longEvery: 4 };
+
+const LIMITS = { workMin: [10, 120], shortMin: [1, 30], longMin: [5, 60], longEvery: [2, 8] };
+
+export function sanitizeFocus(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const out = {};
+  for (const [k, [min, max]] of Object.entries(LIMITS)) {
+    const n = Number(r[k]);
+    out[k] = Number.isFinite(n) ? Math.min(max, Math.max(min, Math.round(n))) : DEFAULT_FOCUS[k];
+  }
+  return out;
+}
+
+/** Durée d'une phase (s). */
+export function phaseSec(phase, settings) {
+  const min = phase === "work" ? settings.workMin : phase === "short" ? settings.shortMin : settings.longMin;
+  return min * 60;
+}
+
+export function startFocus(now, settings) {
+  return { phase: "work", endsAt: now + phaseSec("work", settings) * 1000, pausedLeft: null, completed: 0, deferred: [] };
+}
+
+export function focusRemainingSec(s, now) {
+  if (s.pausedLeft !== null) return s.pausedLeft;
+  return Math.max(0, Math.ceil((s.endsAt - now) / 1000));
+}
+
+export function isBreak(s) {
+  return !!s && s.phase !== "work";
+}
+
+function enter(s, phase, now, settings, completed) {
+  return { ...s, phase, endsAt: now + phaseSec(phase, settings) * 1000, pausedLeft: null, completed, deferred: [] };
+}
+
+/**
+ * Phase terminée à `now` ? Retourne { session, ended: phase terminée | null } — session inchangée (===) sinon.
+ * Comme pour les rappels, une phase largement dépassée (veille) ne fait avancer que d'une phase,
+ * la suivante partant de maintenant.
+ */
+export function advanceFocus(s, now, settings) {
+  if (s.pausedLeft !== null || now < s.endsAt) return { session: s, ended: null };
+  if (s.phase === "work") {
+    const completed = s.completed + 1;
+    const next = completed % settings.longEvery === 0 ? "long" : "short";
+    return { session: { ...enter(s, next, now, settings, completed), deferred: s.deferred }, ended: "work" };
+  }
+  return { session: enter(s, "work", now, settings, s.completed), ended: s.phase };
+}
+
+/** Passe la phase en cours : un travail interrompu n'est pas compté comme session terminée. */
+export function skipFocusPhase(s, now, settings) {
+  if (s.phase === "work") {
+    const next = (s.completed + 1) % settings.longEvery === 0 ? "long" : "short";
+    return { ...enter(s, next, now, settings, s.completed), deferred: s.deferred };
+  }
+  return enter(s, "work", now, settings, s.completed);
+}
+
+export function pauseFocus(s, now) {
+  if (s.pausedLeft !== null) return s;
+  return { ...s, pausedLeft: Math.max(1, focusRemainingSec(s, now)) };
+}
+
+export function resumeFocus(s, now) {
+  if (s.pausedLeft === null) return s;
+  return { ...s, endsAt: now + s.pausedLeft * 1000, pausedLeft: null };
+}
+
+/** Rappel échu pendant la concentration : gardé pour la prochaine pause. */
+export function deferToBreak(s, kind) {
+  return s.deferred.includes(kind) ? s : { ...s, deferred: [...s.deferred, kind] };
+}
+
+/**
+ * Routine proposée à une pause : étirements à la pause longue ou si un rappel d'étirement a été retenu,
+ * sinon exercices pour les yeux.
+ */
+export function breakRoutineKind(s) {
+  return s.phase === "long" || s.deferred.includes("stretch") ? "stretch" : "eye";
+}
+
+export function sanitizeFocusSession(raw, now, settings) {
+  if (!raw || typeof raw !== "object" || !FOCUS_PHASES.includes(raw.phase)) return null;
+  const finite = (v) => typeof v === "number" && Number.isFinite(v);
+  const max = phaseSec(raw.phase, settings);
+  const pausedLeft = finite(raw.pausedLeft) ? Math.min(max, Math.max(1, Math.round(raw.pausedLeft))) : null;
+  return {
+    phase: raw.phase,
+    // échéance passée gardée telle quelle : le premier tick fera avancer la phase
+    endsAt: finite(raw.endsAt) ? Math.min(raw.endsAt, now + max * 1000) : now + max * 1000,
+    pausedLeft,
+    completed: finite(raw.completed) ? Math.max(0, Math.floor(raw.completed)) : 0,
+    deferred: Array.isArray(raw.deferred) ? raw.deferred.filter((k) => k === "eye" || k === "stretch") : []
+  };
+}
@@ -0,0 +1,120 @@
+/**
+ * Objectif d'hydratation : recommandation personnalisée + versions par jour.
+ *
+ * Les valeurs sont des repères grand public (≈ 30–35 ml/kg), pas un avis médical.
+ */
+
+export const GOAL_MIN_ML = 1200;
+export const GOAL_MAX_ML = 4000;
+
+// plafond de sécurité (alerte de consommation élevée) : 0 = désactivé, sinon une des valeurs proposées
+export const SAFETY_CEILING_OPTIONS = [3000, 4000, 5000, 6000];
+
+export const HOT_DAY_BONUS_ML = 500;
+export const WORKOUT_DAY_BONUS_ML = 500;
+
+export const ACTIVITY_LEVELS = [
+  { id: "sedentary", label: "Sédentaire", bonusMl: 0 },
+  { id: "light", label: "Légère", bonusMl: 250 },
+  { id: "moderate", label: "Modérée", bonusMl: 500 },
+  { id: "intense", label: "Intense", bonusMl: 750 }
+];
+
+export const DEFAULT_PROFILE = { weightKg: 70, age: 35, activity: "light" };
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+function roundTo(n, step) {
+  return Math.round(n / step) * step;
+}
+
+/** Valeur sauvegardée -> 0 ou l'option la plus proche (une ancienne valeur hors liste n'est pas perdue). */
+export function sanitizeSafetyCeiling(raw) {
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return SAFETY_CEILING_OPTIONS.reduce((best, v) => (Math.abs(v - n) < Math.abs(best - n) ? v : best));
+}
+
+export function sanitizeProfile(raw) {
+  const p = raw && typeof raw === "object" ? raw : {};
+  const weightKg = Number(p.weightKg);
+  const age = Number(p.age);
+  return {
+    weightKg: Number.isFinite(weightKg) ? clamp(Math.round(weightKg), 20, 250) : DEFAULT_PROFILE.weightKg,
+    age: Number.isFinite(age) ? clamp(Math.round(age), 4, 110) : DEFAULT_PROFILE.age,
+    activity: ACTIVITY_LEVELS.some((a) => a.id === p.activity) ? p.activity : DEFAULT_PROFILE.activity
+  };
+}
+
+/** Objectif de base recommandé (ml), arrondi à 50 ml et borné à [GOAL_MIN_ML, GOAL_MAX_ML]. */
+export function recommendGoalMl(profile) {
+  const { weightKg, age, activity } = sanitizeProfile(profile);
+  // besoin par kg qui diminue avec l'âge
+  const mlPerKg = age < 30 ? 35 : age <= 55 ? 33 : 30;
+  const bonus = ACTIVITY_LEVELS.find((a) => a.id === activity)?.bonusMl ?? 0;
+  return clamp(roundTo(weightKg * mlPerKg + bonus, 50), GOAL_MIN_ML, GOAL_MAX_ML);
+}
+
+/** Objectif du jour = base + bonus ponctuels (journée chaude / sport). */
+export function dayGoalMl(baseGoalMl, { hotDay = false, workoutDay = false } = {}) {
+  return baseGoalMl + (hotDay ? HOT_DAY_BONUS_ML : 0) + (workoutDay ? WORKOUT_DAY_BONUS_ML : 0);
+}
+
+const EPOCH_DAY = "1970-01-01";
+
+/**
+ * Versions d'objectif: [{ from: "YYYY-MM-DD", goalMl }], triées par date.
+ * Un changement remplace la version du même jour (une seule valeur par jour).
+ * previousGoalMl sert à dater l'objectif d'avant la toute première version.
+ */
+export function setGoalForDay(versions, dk, goalMl, previousGoalMl = goalMl) {
+  const base = versions?.length ? versions : [{ from: EPOCH_DAY, goalMl: previousGoalMl }];
+  const without = base.filter((v) => v.from !== dk);
+  const next = [...without, { from: dk, goalMl }].sort((a, b) => (a.from < b.from ? -1 : 1));
+  // supprime les versions redondantes (même valeur que la précédente)
+  return next.filter((v, i) => i === 0 || v.goalMl !== next[i - 1].goalMl);
+}
+
+/** Objectif de base en vigueur pour un jour donné (fallback si aucune version antérieure). */
+export function goalForDay(versions, dk, fallback) {
+  let goal = fallback;
+  let found = false;
+  for (const v of versions ?? []) {
+    if (v.from <= dk) {
+      goal = v.goalMl;
+      found = true;
+    } else break;
+  }
+  // avant la première version connue: on garde la plus ancienne plutôt que l'objectif actuel
+  if (!found && versions?.length) return versions[0].goalMl;
+  return goal;
+}
+
+export function sanitizeGoalVersions(raw) {
+  if (!Array.isArray(raw)) return [];
+  return raw
+    .filter((v) => v && typeof v.from === "string" && /^\d{4}-\d{2}-\d{2}$/.test(v.from) && Number.isFinite(Number(v.goalMl)))
+    .map((v) => ({ from: v.from, goalMl: clamp(Math.round(Number(v.goalMl)), GOAL_MIN_ML, GOAL_MAX_ML) }))
+    .sort((a, b) => (a.from < b.from ? -1 : 1));
+}
+
+/**
+ * Cibles d'un jour d'historique.
+ * Les entrées récentes embarquent leur propre snapshot (dailyGoalMl, cupMl, intervalles) ;
+ * pour les anciennes, on reconstitue l'objectif via les versions et on retombe sur les réglages actuels.
+ */
+export function dayTargets(entry, { goalVersions, dailyGoalMl, cupMl, eyeBreakInterval, stretchInterval }) {
+  const num = (v, fallback) => (typeof v === "number" && v > 0 ? v : fallback);
+  return {
+    dailyGoalMl: num(entry.dailyGoalMl, dayGoalMl(goalForDay(goalVersions, entry.dayKey, dailyGoalMl), entry)),
+    cupMl: num(entry.cupMl, cupMl),
+    eyeBreakInterval: num(entry.eyeBreakInterval, eyeBreakInterval),
+    stretchInterval: num(entry.stretchInterval, stretchInterval)
+  };
+}
+
+export function isGoalMet(entry, targets) {
+  return (entry.waterMl ?? 0) >= targets.dailyGoalMl;
+}
@@ -1,6 +1,35 @@
-import { Preferences } from "@capacitor/preferences";
+import { STORAGE_KEYS, getItem, setItem } from "./storage";
 
-const HISTORY_KEY = "zenhydratation_history_v1";
+/**
+ * Nombre de jours gardés en détail (prises, détails d'exercices) ; au-delà, archive compacte.
+ *
+ * L'« archive » n'agrège rien : ce sont les mêmes lignes journalières, réduites à COMPACT_FIELDS et rangées par
+ * mois, sous leur propre clé dans le même backend que le reste (localStorage / Preferences). Elle sert à alléger
+ * la clé de l'historique récent, réécrite chaque jour, sans perdre un seul jour pour les Stats et les séries.
+ */
+export const HOT_DAYS = 60;
+
+// Champs conservés dans l'archive (compteurs + cibles du jour), le reste est abandonné.
+const COMPACT_FIELDS = [
+  "dayKey",
+  "waterMl",
+  "rawMl",
+  "eyeBreaks",
+  "stretches",
+  "wakeRoutines",
+  "sleepRoutines",
+  "dailyGoalMl",
+  "cupMl",
+  "eyeBreakInterval",
+  "stretchInterval",
+  "hotDay",
+  "workoutDay",
+  "reminders",
+  "focusSessions",
+  "focusSec",
+  "workSec",
+  "routines"
+];
 
 /** dateKey = YYYY-MM-DD */
 export function dateKey(d = new Date()) {
@@ -10,40 +39,37 @@ export function dateKey(d = new Date()) {
   return `${y}-${m}-${day}`;
 }
 
-function parseDateKey(k) {
-  // k: YYYY-MM-DD
-  const [y, m, d] = k.split("-").map(Number);
-  return new Date(y, (m - 1), d);
-}
-
-function diffDays(a, b) {
-  // a,b are Date (midnight local)
-  const ms = 24 * 3600 * 1000;
-  const aa = new Date(a.getFullYear(), a.getMonth(), a.getDate()).getTime();
-  const bb = new Date(b.getFullYear(), b.getMonth(), b.getDate()).getTime();
-  return Math.round((aa - bb) / ms);
-}
-
 /**
- * Entry shape:
- * { dayKey, water, eyeBreaks, stretches, workTime }
+ * Entry shape (jours récents, détaillés):
+ * { dayKey, waterMl, rawMl, drinks, eyeBreaks, stretches, wakeRoutines, sleepRoutines, details,
+ *   hotDay, workoutDay, dailyGoalMl, cupMl, eyeBreakInterval, stretchInterval,
+ *   reminders: { eye|stretch|water: { shown, done, snoozed, skipped } },
+ *   reminderLog: [{ kind, at, outcome, delaySec }], focusSessions, focusSec, routines: { [routineId]: n } }
+ * Les jours archivés gardent les compteurs "reminders" mais pas le journal.
  */
 export async function loadHistory() {
-  const { value } = await Preferences.get({ key: HISTORY_KEY });
-  if (!value) return [];
-  try {
-    const arr = JSON.parse(value);
-    return Array.isArray(arr) ? arr : [];
-  } catch {
-    return [];
-  }
+  const arr = await getItem(STORAGE_KEYS.history, []);
+  return Array.isArray(arr) ? arr : [];
 }
 
 export async function saveHistory(entries) {
-  await Preferences.set({ key: HISTORY_KEY, value: JSON.stringify(entries) });
+  await setItem(STORAGE_KEYS.history, entries);
 }
 
-export async function upsertTodayStats(todayStats, maxDays = 30) {
+export async function loadArchive() {
+  const obj = await getItem(STORAGE_KEYS.archive, {});
+  return obj && typeof obj === "object" && !Array.isArray(obj) ? obj : {};
+}
+
+export async function saveArchive(archive) {
+  await setItem(STORAGE_KEYS.archive, archive);
+}
+
+/**
+ * Garde tout l'historique : les jours au-delà de hotDays partent dans l'archive mensuelle
+ * (écrite seulement quand des jours y sont déplacés, pour que la sauvegarde du jour reste rapide).
+ */
+export async function upsertTodayStats(todayStats, hotDays = HOT_DAYS) {
   const history = await loadHistory();
   const dk = todayStats.dayKey ?? dateKey();
 
@@ -53,35 +79,89 @@ export async function upsertTodayStats(todayStats, maxDays = 30) {
 
   history.sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
 
-  // garder seulement les N derniers jours
-  const trimmed = history.slice(Math.max(0, history.length - maxDays));
-  await saveHistory(trimmed);
-  return trimmed;
+  const { hot, moved } = splitHotDays(history, hotDays);
+  if (moved.length > 0) await saveArchive(archiveEntries(await loadArchive(), moved));
+  await saveHistory(hot);
+  return hot;
 }
 
-export function getLastNDays(history, n) {
+/** Ne garde que les compteurs et cibles d'une entrée. */
+export function compactEntry(entry) {
+  const out = {};
+  for (const k of COMPACT_FIELDS) {
+    if (entry[k] !== undefined) out[k] = entry[k];
+  }
+  return out;
+}
+
+/** Sépare les hotDays jours les plus récents (détaillés) des plus anciens (à archiver). */
+export function splitHotDays(history, hotDays = HOT_DAYS) {
   const sorted = [...history].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
-  return sorted.slice(Math.max(0, sorted.length - n));
+  const cut = Math.max(0, sorted.length - hotDays);
+  return { hot: sorted.slice(cut), moved: sorted.slice(0, cut) };
+}
+
+/**
+ * Archive shape: { "YYYY-MM": [compactEntry, ...] } (une ligne par jour, triées) — pas de totaux mensuels.
+ * Retourne une nouvelle archive, un jour déjà présent est remplacé.
+ */
+export function archiveEntries(archive, entries) {
+  const next = { ...(archive ?? {}) };
+  for (const e of entries) {
+    const month = e.dayKey.slice(0, 7);
+    const rows = (next[month] ?? []).filter((r) => r.dayKey !== e.dayKey);
+    rows.push(compactEntry(e));
+    rows.sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+    next[month] = rows;
+  }
+  return next;
 }
 
-export function isActiveDay(entry) {
-  return (entry.water ?? 0) > 0 || (entry.eyeBreaks ?? 0) > 0 || (entry.stretches ?? 0) > 0;
+/** Historique complet (archive + jours détaillés, ces derniers prioritaires). */
+export function mergeHistory(archive, hot) {
+  const map = new Map();
+  for (const rows of Object.values(archive ?? {})) {
+    for (const r of rows) map.set(r.dayKey, r);
+  }
+  for (const e of hot ?? []) map.set(e.dayKey, e);
+  return [...map.values()].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
 }
 
-/** Streak = nb de jours consécutifs "actifs" en partant d’aujourd’hui */
-export function computeStreak(history, today = new Date()) {
-  const dkToday = dateKey(today);
-  const map = new Map(history.map((e) => [e.dayKey, e]));
+/** Jours d'un mois ("YYYY-MM"). */
+export function entriesForMonth(history, month) {
+  return history.filter((e) => e.dayKey.startsWith(month));
+}
 
-  let streak = 0;
-  let cursor = parseDateKey(dkToday);
+/** Mois ("YYYY-MM") couverts par l'historique, du plus ancien au plus récent. */
+export function monthsWithData(history) {
+  return [...new Set(history.map((e) => e.dayKey.slice(0, 7)))].sort();
+}
 
-  while (true) {
-    const dk = dateKey(cursor);
-    const e = map.get(dk);
-    if (!e || !isActiveDay(e)) break;
-    streak += 1;
-    cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() - 1);
+/** Totaux mensuels d'une année : 12 lignes { month, days, waterMl, eyeBreaks, ... }. */
+export function monthlyTotals(history, year) {
+  const rows = Array.from({ length: 12 }, (_, i) => ({
+    month: `${year}-${String(i + 1).padStart(2, "0")}`,
+    days: 0,
+    waterMl: 0,
+    eyeBreaks: 0,
+    stretches: 0,
+    wakeRoutines: 0,
+    sleepRoutines: 0
+  }));
+  for (const e of history) {
+    if (!e.dayKey.startsWith(`${year}-`)) continue;
+    const row = rows[Number(e.dayKey.slice(5, 7)) - 1];
+    row.days += 1;
+    row.waterMl += e.waterMl ?? 0;
+    row.eyeBreaks += e.eyeBreaks ?? 0;
+    row.stretches += e.stretches ?? 0;
+    row.wakeRoutines += e.wakeRoutines ?? 0;
+    row.sleepRoutines += e.sleepRoutines ?? 0;
   }
-  return streak;
+  return rows;
+}
+
+export function getLastNDays(history, n) {
+  const sorted = [...history].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+  return sorted.slice(Math.max(0, sorted.length - n));
 }
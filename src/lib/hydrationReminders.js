@@ -0,0 +1,84 @@
+/**
+ * Rappels d'hydratation à espacement "intelligent".
+ *
+ * Le reste à boire (objectif − bu) est réparti sur les heures d'éveil restantes, à raison d'une dose
+ * par rappel. Si l'on est en retard sur la courbe idéale (progression linéaire du réveil au coucher),
+ * l'espacement se resserre. Plus aucun rappel une fois l'objectif atteint ou après l'heure du coucher.
+ */
+
+export const WATER_MIN_SPACING_SEC = 15 * 60;
+export const WATER_MAX_SPACING_SEC = 2 * 3600;
+// chaque dose de retard sur la courbe idéale rapproche les rappels de 50 %
+const BEHIND_FACTOR_PER_CUP = 0.5;
+
+export const DEFAULT_WATER_REMINDERS = { enabled: true, wakeTime: "07:00", bedTime: "22:00" };
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+export function sanitizeWaterReminders(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const wakeTime = TIME_RE.test(r.wakeTime) ? r.wakeTime : DEFAULT_WATER_REMINDERS.wakeTime;
+  const bedTime = TIME_RE.test(r.bedTime) ? r.bedTime : DEFAULT_WATER_REMINDERS.bedTime;
+  const valid = wakeTime < bedTime;
+  return {
+    enabled: typeof r.enabled === "boolean" ? r.enabled : DEFAULT_WATER_REMINDERS.enabled,
+    wakeTime: valid ? wakeTime : DEFAULT_WATER_REMINDERS.wakeTime,
+    bedTime: valid ? bedTime : DEFAULT_WATER_REMINDERS.bedTime
+  };
+}
+
+/** "HH:MM" du jour de `now` -> ms epoch */
+function atTime(now, hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return new Date(now).setHours(h, m, 0, 0);
+}
+
+function clamp(n, min, max) {
+  return Math.min(max, Math.max(min, n));
+}
+
+/**
+ * Espacement (s) entre deux rappels à l'instant `ref`, ou null si plus rien à boire.
+ */
+export function waterSpacingSec({ ref, start, end, goalMl, waterMl, cupMl }) {
+  const remaining = goalMl - waterMl;
+  if (remaining <= 0 || ref >= end) return null;
+
+  const cupsLeft = Math.max(1, Math.ceil(remaining / cupMl));
+  let spacing = (end - ref) / 1000 / cupsLeft;
+
+  const progress = clamp((ref - start) / (end - start), 0, 1);
+  const behindCups = Math.max(0, goalMl * progress - waterMl) / cupMl;
+  spacing /= 1 + BEHIND_FACTOR_PER_CUP * behindCups;
+
+  return Math.round(clamp(spacing, WATER_MIN_SPACING_SEC, WATER_MAX_SPACING_SEC));
+}
+
+/**
+ * Prochain rappel d'hydratation : { at (ms), every (s), until (ms) } ou null.
+ * Compté depuis le dernier événement (verre bu, rappel affiché, ou réveil) ;
+ * un rappel reporté (snoozedUntil) revient à l'heure demandée, sauf si un verre a été bu depuis.
+ */
+export function nextWaterReminder({
+  now,
+  goalMl,
+  waterMl,
+  cupMl,
+  settings,
+  lastDrinkAt = 0,
+  lastReminderAt = 0,
+  snoozedUntil = 0
+}) {
+  if (!settings.enabled) return null;
+  const start = atTime(now, settings.wakeTime);
+  const end = atTime(now, settings.bedTime);
+  const ref = Math.max(now, start);
+
+  const every = waterSpacingSec({ ref, start, end, goalMl, waterMl, cupMl });
+  if (every === null) return null;
+
+  const anchor = Math.max(start, lastDrinkAt ?? 0, lastReminderAt ?? 0);
+  const at = snoozedUntil > anchor ? snoozedUntil : anchor + every * 1000;
+  if (at >= end) return null;
+  return { at, every, until: end };
+}
@@ -0,0 +1,52 @@
+/**
+ * Détection d'absence : l'utilisateur a quitté son poste.
+ *
+ * - Page visible : absent après `minutes` sans aucune saisie (souris, clavier, toucher, défilement).
+ * - Page cachée / app en arrière-plan : on ne voit plus les saisies. Par défaut ce n'est PAS une absence
+ *   (onglet en fond pendant qu'on travaille ailleurs, rappels système attendus) ; avec `whenHidden`,
+ *   l'absence démarre au moment où l'app est passée en arrière-plan.
+ *
+ * Désactivée par défaut : seules les saisies sur cette page sont visibles, quelqu'un qui travaille dans une
+ * autre fenêtre paraîtrait absent. Le seuil est toujours plus long que le plus court des intervalles de
+ * rappel, pour que ce rappel ait le temps de sonner avant la pause.
+ */
+
+export const IDLE_MIN_MINUTES = 2;
+// l'intervalle yeux va jusqu'à 2 h : le seuil doit pouvoir le dépasser
+export const IDLE_MAX_MINUTES = 180;
+
+export const IDLE_MINUTE_OPTIONS = [5, 10, 15, 20, 30, 45, 60, 90, 120, 150, 180];
+
+export const DEFAULT_IDLE = { enabled: false, minutes: 30, whenHidden: false };
+
+export function sanitizeIdle(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const minutes = Number(r.minutes);
+  return {
+    enabled: typeof r.enabled === "boolean" ? r.enabled : DEFAULT_IDLE.enabled,
+    minutes: Number.isFinite(minutes)
+      ? Math.min(IDLE_MAX_MINUTES, Math.max(IDLE_MIN_MINUTES, Math.round(minutes)))
+      : DEFAULT_IDLE.minutes,
+    whenHidden: typeof r.whenHidden === "boolean" ? r.whenHidden : DEFAULT_IDLE.whenHidden
+  };
+}
+
+/**
+ * Seuil effectif (min) : le réglage, relevé au premier choix qui dépasse le plus court intervalle de rappel
+ * (intervals en s).
+ */
+export function idleThresholdMinutes(settings, intervals) {
+  const min = Math.max(settings.minutes, Math.floor(Math.min(...Object.values(intervals)) / 60) + 1);
+  return IDLE_MINUTE_OPTIONS.find((m) => m >= min) ?? IDLE_MAX_MINUTES;
+}
+
+/**
+ * Début de l'absence (ms) si l'utilisateur compte comme absent à `now`, sinon null.
+ * hiddenAt : depuis quand la page est cachée (null = visible).
+ */
+export function awaySince({ now, lastInputAt, hiddenAt, settings, intervals }) {
+  if (!settings.enabled) return null;
+  const idleMs = idleThresholdMinutes(settings, intervals) * 60_000;
+  if (hiddenAt !== null) return settings.whenHidden && now - hiddenAt >= idleMs ? hiddenAt : null;
+  return now - lastInputAt >= idleMs ? lastInputAt : null;
+}
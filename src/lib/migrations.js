@@ -0,0 +1,239 @@
+import { STORAGE_KEYS, getItem, getRawItem, setItem } from "./storage";
+
+/**
+ * Migrations du schéma sauvegardé.
+ *
+ * Chaque version a laissé ses propres clés (`zenhydratation_state_vN`, `zenhydratation_history_vN`),
+ * y compris dans les Preferences Android (lues via lib/storage.js).
+ * Au démarrage, tant que les anciennes clés n'ont pas été examinées (meta.legacyChecked), on cherche TOUTES
+ * les versions présentes — même quand des données au format courant existent déjà —, on sauvegarde les blobs
+ * d'origine tels quels, puis on applique à chacune les étapes N → N+1 jusqu'à CURRENT_SCHEMA_VERSION.
+ * Fusion : les jours déjà connus (historique courant ou archive) gardent leur version courante, seuls les jours
+ * manquants sont ajoutés ; l'état courant prime, sinon celui de la version la plus récente est repris.
+ * Les anciennes clés ne sont jamais supprimées.
+ */
+
+export const CURRENT_SCHEMA_VERSION = 5;
+
+const BACKUP_PREFIX = "zenhydratation_backup_v";
+
+export class MigrationError extends Error {
+  constructor(message, { fromVersion, backupKey, cause } = {}) {
+    super(message);
+    this.name = "MigrationError";
+    this.fromVersion = fromVersion;
+    this.backupKey = backupKey;
+    this.cause = cause;
+  }
+}
+
+const stateKey = (v) => `zenhydratation_state_v${v}`;
+const historyKey = (v) => `zenhydratation_history_v${v}`;
+
+// `water` ne portait pas d'unité : v1 (lib/history.js) y comptait des verres, des versions plus tardives des ml.
+// Hypothèse connue, faute de marqueur dans les données : une valeur ≤ 30 est lue comme des verres de 250 ml
+// (30 verres = 7,5 L, au-delà de tout jour réaliste), au-dessus comme des ml. Une journée réellement saisie en ml
+// avec moins de 30 ml au total serait donc surestimée — cas jugé négligeable.
+const LEGACY_GLASS_ML = 250;
+function legacyWaterToMl(water) {
+  const n = Number(water);
+  if (!Number.isFinite(n) || n <= 0) return 0;
+  return n <= 30 ? Math.round(n * LEGACY_GLASS_ML) : Math.round(n);
+}
+
+function mapHistory(history, fn) {
+  return (history ?? []).map((e) => fn({ ...e }));
+}
+
+/**
+ * Étapes N → N+1. Chacune reçoit et renvoie { state, history } (state peut être null).
+ */
+const STEPS = {
+  // v1 → v2 : `water` (verres) devient `waterMl`
+  1: ({ state, history }) => ({
+    state,
+    history: mapHistory(history, (e) => {
+      if (e.waterMl === undefined) e.waterMl = legacyWaterToMl(e.water);
+      delete e.water;
+      return e;
+    })
+  }),
+
+  // v2 → v3 : compteurs de routines réveil/coucher absents
+  2: ({ state, history }) => ({
+    state: state?.todayStats
+      ? { ...state, todayStats: { wakeRoutines: 0, sleepRoutines: 0, ...state.todayStats } }
+      : state,
+    history: mapHistory(history, (e) => ({ wakeRoutines: 0, sleepRoutines: 0, ...e }))
+  }),
+
+  // v3 → v4 : détails par exercice regroupés par catégorie
+  3: ({ state, history }) => {
+    const withDetails = (e) => ({
+      ...e,
+      details: { eye: {}, stretch: {}, wake: {}, sleep: {}, ...(e.details ?? {}) }
+    });
+    return {
+      state: state?.todayStats ? { ...state, todayStats: withDetails(state.todayStats) } : state,
+      history: mapHistory(history, withDetails)
+    };
+  },
+
+  // v4 → v5 : le compteur d'eau de premier niveau rejoint todayStats
+  4: ({ state, history }) => {
+    if (!state) return { state, history };
+    const { waterMl, water, ...rest } = state;
+    const todayStats = rest.todayStats ? { ...rest.todayStats } : null;
+    if (todayStats && todayStats.waterMl === undefined) {
+      todayStats.waterMl = waterMl ?? legacyWaterToMl(water);
+    }
+    return { state: todayStats ? { ...rest, todayStats } : rest, history };
+  }
+};
+
+function validate({ state, history }) {
+  if (state !== null && (typeof state !== "object" || Array.isArray(state))) {
+    throw new Error("état invalide après migration");
+  }
+  if (!Array.isArray(history)) throw new Error("historique invalide après migration");
+  for (const e of history) {
+    if (!e || typeof e.dayKey !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(e.dayKey)) {
+      throw new Error(`entrée d'historique invalide (${JSON.stringify(e)?.slice(0, 60)})`);
+    }
+  }
+}
+
+/** Toutes les versions trouvées dans les anciennes clés, la plus récente d'abord : [{ version, rawState, rawHistory }]. */
+async function detectLegacyVersions() {
+  const found = [];
+  for (let v = CURRENT_SCHEMA_VERSION - 1; v >= 1; v -= 1) {
+    const [rawState, rawHistory] = await Promise.all([getRawItem(stateKey(v)), getRawItem(historyKey(v))]);
+    if (rawState !== null || rawHistory !== null) found.push({ version: v, rawState, rawHistory });
+  }
+  return found;
+}
+
+function migrateVersion({ version, rawState, rawHistory }) {
+  let data = {
+    state: parseBlob(rawState, stateKey(version)),
+    history: parseBlob(rawHistory, historyKey(version)) ?? []
+  };
+  if (!Array.isArray(data.history)) throw new Error(`${historyKey(version)} n'est pas une liste`);
+  for (let v = version; v < CURRENT_SCHEMA_VERSION; v += 1) {
+    data = STEPS[v](data);
+  }
+  validate(data);
+  return data;
+}
+
+function parseBlob(raw, key) {
+  if (raw === null || raw === "") return null;
+  try {
+    return JSON.parse(raw);
+  } catch (cause) {
+    throw new Error(`JSON illisible dans ${key}`, { cause });
+  }
+}
+
+/**
+ * À appeler avant toute lecture des clés courantes.
+ * Retourne { status: "current" | "fresh" | "migrated" | "merged", fromVersions?, addedDays?, backupKey?, failure? }.
+ * Lève une MigrationError si une migration échoue : les clés courantes ne sont pas écrites,
+ * et l'échec est gardé dans la meta (failure) jusqu'à acknowledgeMigrationFailure().
+ */
+export async function runMigrations({ now = Date.now() } = {}) {
+  const meta = await getItem(STORAGE_KEYS.meta, null);
+  if (meta?.version === CURRENT_SCHEMA_VERSION && meta.legacyChecked) {
+    return { status: "current", failure: meta.failure ?? null };
+  }
+
+  const [rawCurrentState, rawCurrentHistory, rawArchive] = await Promise.all([
+    getRawItem(STORAGE_KEYS.state),
+    getRawItem(STORAGE_KEYS.history),
+    getRawItem(STORAGE_KEYS.archive)
+  ]);
+  const hasCurrentData = rawCurrentState !== null || rawCurrentHistory !== null;
+  // une version déjà migrée par un démarrage précédent n'est pas refusionnée
+  const legacy = (await detectLegacyVersions()).filter((l) => l.version !== meta?.migratedFrom);
+  const checkedMeta = { ...(meta ?? {}), version: CURRENT_SCHEMA_VERSION, legacyChecked: true };
+
+  if (legacy.length === 0) {
+    await setItem(STORAGE_KEYS.meta, checkedMeta);
+    return { status: hasCurrentData ? "current" : "fresh", failure: meta?.failure ?? null };
+  }
+
+  const fromVersions = legacy.map((l) => l.version);
+  // sauvegarde des blobs d'origine, avant toute transformation
+  const backupKey = `${BACKUP_PREFIX}${fromVersions.join("-")}_${now}`;
+  const raw = {};
+  for (const l of legacy) {
+    raw[stateKey(l.version)] = l.rawState;
+    raw[historyKey(l.version)] = l.rawHistory;
+  }
+  await setItem(backupKey, { createdAt: now, fromVersion: fromVersions[0], fromVersions, raw });
+
+  try {
+    const currentState = parseBlob(rawCurrentState, STORAGE_KEYS.state);
+    const currentHistory = parseBlob(rawCurrentHistory, STORAGE_KEYS.history) ?? [];
+    if (!Array.isArray(currentHistory)) throw new Error(`${STORAGE_KEYS.history} n'est pas une liste`);
+    const archive = parseBlob(rawArchive, STORAGE_KEYS.archive) ?? {};
+
+    const known = new Set(currentHistory.map((e) => e?.dayKey));
+    for (const rows of Object.values(archive)) {
+      for (const r of Array.isArray(rows) ? rows : []) known.add(r?.dayKey);
+    }
+
+    let state = currentState;
+    const added = [];
+    for (const l of legacy) {
+      const data = migrateVersion(l);
+      state = state ?? data.state;
+      for (const e of data.history) {
+        if (known.has(e.dayKey)) continue;
+        known.add(e.dayKey);
+        added.push(e);
+      }
+    }
+
+    if (state && !currentState) await setItem(STORAGE_KEYS.state, state);
+    // l'app range elle-même les jours en trop dans l'archive à la prochaine sauvegarde de l'historique
+    if (added.length > 0 || !hasCurrentData) {
+      const history = [...currentHistory, ...added].sort((a, b) => (a.dayKey < b.dayKey ? -1 : 1));
+      await setItem(STORAGE_KEYS.history, history);
+    }
+    await setItem(STORAGE_KEYS.meta, {
+      ...checkedMeta,
+      migratedFrom: fromVersions[0],
+      mergedFrom: fromVersions,
+      backupKey
+    });
+    return {
+      status: hasCurrentData ? "merged" : "migrated",
+      fromVersions,
+      addedDays: added.length,
+      backupKey,
+      failure: meta?.failure ?? null
+    };
+  } catch (cause) {
+    const versions = fromVersions.map((v) => `v${v}`).join(", ");
+    const error = new MigrationError(`Migration ${versions} → v${CURRENT_SCHEMA_VERSION} impossible : ${cause.message}`, {
+      fromVersion: fromVersions[0],
+      backupKey,
+      cause
+    });
+    // marqué pour ne pas réessayer à chaque démarrage, l'original reste dans backupKey
+    await setItem(STORAGE_KEYS.meta, {
+      ...checkedMeta,
+      failure: { fromVersion: fromVersions[0], backupKey, message: error.message, at: now }
+    });
+    throw error;
+  }
+}
+
+/** L'utilisateur a pris connaissance de l'échec : on ne le signale plus. */
+export async function acknowledgeMigrationFailure() {
+  const meta = await getItem(STORAGE_KEYS.meta, null);
+  if (!meta?.failure) return;
+  const { failure, ...rest } = meta;
+  await setItem(STORAGE_KEYS.meta, rest);
+}
@@ -1,4 +1,16 @@
 import { LocalNotifications } from "@capacitor/local-notifications";
+import { MAX_PER_KIND, REMINDER_ACTIONS, REMINDER_ACTION_TYPE, planReminders } from "./reminders";
+
+// Plages d'ids réservées par type de rappel (id = base + rang de l'occurrence).
+const REMINDER_ID_BASE = { eye: 1100, stretch: 1200, water: 1300 };
+
+function allReminderIds() {
+  const ids = [];
+  for (const base of Object.values(REMINDER_ID_BASE)) {
+    for (let i = 0; i < MAX_PER_KIND; i += 1) ids.push({ id: base + i });
+  }
+  return ids;
+}
 
 /**
  * Android 13+ : permission runtime requise.
@@ -10,36 +22,82 @@ export async function ensureNotificationPermission() {
   }
 }
 
+/** "granted" | "denied" | "prompt" … */
+export async function getNotificationPermission() {
+  const perm = await LocalNotifications.checkPermissions();
+  return perm.display;
+}
+
+/** Au démarrage : Android demande la permission tout de suite et déclare les boutons d'action. */
+export async function initNotifications() {
+  await ensureNotificationPermission();
+  await LocalNotifications.registerActionTypes({
+    types: [
+      {
+        id: REMINDER_ACTION_TYPE,
+        actions: REMINDER_ACTIONS.map((a) => ({ id: a.id, title: a.title }))
+      }
+    ]
+  });
+}
+
 /**
- * Replanifie les prochaines notifications (œil + étirements).
- * Note: exactitude dépend d'Android (exact alarm permissions). 
+ * handler({ kind, at, action }) — action = id de REMINDER_ACTIONS, ou "open" (tap sur la notification).
+ * Retourne une fonction de désabonnement.
  */
-export async function scheduleNextReminders({
-  eyeSeconds,
-  stretchSeconds,
-  enabled = true
-}) {
+export async function onReminderAction(handler) {
+  const sub = await LocalNotifications.addListener("localNotificationActionPerformed", (ev) => {
+    const { kind, at } = ev.notification?.extra ?? {};
+    if (!kind) return;
+    handler({ kind, at, action: ev.actionId === "tap" ? "open" : ev.actionId });
+  });
+  return () => sub.remove();
+}
+
+export async function cancelReminders() {
+  await LocalNotifications.cancel({ notifications: allReminderIds() });
+}
+
+/**
+ * Replanifie les prochaines notifications.
+ * plan: [{ kind: "eye"|"stretch"|"water", at: prochaine échéance (ms), every: intervalle (s) }]
+ * allow(at) : filtre optionnel (planning hebdomadaire)
+ * Note: exactitude dépend d'Android (exact alarm permissions).
+ */
+export async function scheduleNextReminders({ plan, allow, enabled = true }) {
   // On annule ce qu'on a posé avant, puis on reprogramme proprement.
-  await LocalNotifications.cancel({ notifications: [{ id: 1001 }, { id: 1002 }] });
+  await cancelReminders();
 
   if (!enabled) return;
 
-  const now = Date.now();
+  const notifications = planReminders(plan, Date.now(), allow).map((r) => ({
+    id: REMINDER_ID_BASE[r.kind] + r.index,
+    title: r.title,
+    body: r.body,
+    actionTypeId: REMINDER_ACTION_TYPE,
+    extra: { kind: r.kind, at: r.at },
+    schedule: { at: new Date(r.at), allowWhileIdle: true }
+  }));
 
-  await LocalNotifications.schedule({
-    notifications: [
-      {
-        id: 1001,
-        title: "Zenhydratation",
-        body: "Pause yeux : 20 secondes (règle 20-20-20).",
-        schedule: { at: new Date(now + eyeSeconds * 1000) }
-      },
-      {
-        id: 1002,
-        title: "Zenhydratation",
-        body: "Étirements : levez-vous et bougez 2 minutes.",
-        schedule: { at: new Date(now + stretchSeconds * 1000) }
-      }
-    ]
-  });
+  if (notifications.length > 0) await LocalNotifications.schedule({ notifications });
+}
+
+/**
+ * Rappel échu vu par l'app : au premier plan, la carte de l'app suffit. On annule la notification système
+ * de la même échéance encore en attente (l'alarme peut partir avant la replanification), et on retire celles
+ * de ce type déjà affichées (Android n'y rend pas `extra` : la plage d'ids du type sert de repère).
+ * App en arrière-plan : la notification système reste la seule visible, on n'y touche pas.
+ */
+export async function showReminderNow(kind, at) {
+  const base = REMINDER_ID_BASE[kind];
+  if (base === undefined || document.visibilityState !== "visible") return;
+  const ofKind = (n) => n.id >= base && n.id < base + MAX_PER_KIND;
+
+  const { notifications: pending } = await LocalNotifications.getPending();
+  const toCancel = pending.filter((n) => ofKind(n) && n.extra?.at === at).map((n) => ({ id: n.id }));
+  if (toCancel.length > 0) await LocalNotifications.cancel({ notifications: toCancel });
+
+  const { notifications: delivered } = await LocalNotifications.getDeliveredNotifications();
+  const toRemove = delivered.filter(ofKind);
+  if (toRemove.length > 0) await LocalNotifications.removeDeliveredNotifications({ notifications: toRemove });
 }
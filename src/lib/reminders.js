@@ -0,0 +1,88 @@
+/**
+ * Rappels système (hors de l'app) : textes, actions et plan des prochaines occurrences,
+ * partagés par le service natif (lib/notifications.js) et le service web (platform/notifications.web.js).
+ * Les issues (fait / reporté / passé) sont comptées par jour dans todayStats.reminders.
+ */
+
+export const REMINDER_KINDS = ["eye", "stretch", "water"];
+
+export const REMINDER_MESSAGES = {
+  eye: { title: "Zenhydratation", body: "Pause yeux : 20 secondes (règle 20-20-20)." },
+  stretch: { title: "Zenhydratation", body: "Étirements : levez-vous et bougez 2 minutes." },
+  water: { title: "Zenhydratation", body: "Hydratation : pensez à boire un verre d'eau." }
+};
+
+// Actions proposées sur chaque rappel (carte dans l'app + notification système).
+// Les systèmes n'affichent souvent que 2 ou 3 actions : les plus utiles d'abord.
+export const REMINDER_ACTION_TYPE = "ZEN_REMINDER";
+export const REMINDER_ACTIONS = [
+  { id: "done", title: "C'est fait" },
+  { id: "snooze5", title: "+5 min", snoozeMin: 5 },
+  { id: "skip", title: "Passer" },
+  { id: "snooze10", title: "+10 min", snoozeMin: 10 }
+];
+
+export function snoozeMinutes(actionId) {
+  return REMINDER_ACTIONS.find((a) => a.id === actionId)?.snoozeMin ?? 0;
+}
+
+/* =========================
+ * Issues par jour : { eye: { shown, done, snoozed, skipped }, stretch: {...}, water: {...} }
+ * ========================= */
+export const REMINDER_OUTCOMES = ["shown", "done", "snoozed", "skipped"];
+
+export function emptyReminderCounts() {
+  const out = {};
+  for (const k of REMINDER_KINDS) out[k] = { shown: 0, done: 0, snoozed: 0, skipped: 0 };
+  return out;
+}
+
+export function sanitizeReminderCounts(raw) {
+  const out = emptyReminderCounts();
+  if (!raw || typeof raw !== "object") return out;
+  for (const k of REMINDER_KINDS) {
+    for (const o of REMINDER_OUTCOMES) {
+      const n = Number(raw[k]?.[o]);
+      out[k][o] = Number.isFinite(n) && n > 0 ? Math.floor(n) : 0;
+    }
+  }
+  return out;
+}
+
+export function countReminderOutcome(counts, kind, outcome) {
+  const base = counts ?? emptyReminderCounts();
+  if (!REMINDER_KINDS.includes(kind) || !REMINDER_OUTCOMES.includes(outcome)) return base;
+  const row = base[kind] ?? { shown: 0, done: 0, snoozed: 0, skipped: 0 };
+  return { ...base, [kind]: { ...row, [outcome]: row[outcome] + 1 } };
+}
+
+// Occurrences posées d'avance par type : l'app fermée continue de recevoir les rappels suivants.
+export const MAX_PER_KIND = 12;
+
+function endOfDay(now) {
+  return new Date(now).setHours(23, 59, 59, 999);
+}
+
+/** Tag stable d'une occurrence : le même rappel montré deux fois se remplace. */
+export function reminderTag(kind, at) {
+  return `zen-${kind}-${at}`;
+}
+
+/**
+ * Prochaines occurrences jusqu'à la fin de la journée (le passage au jour suivant annule tout).
+ * plan: [{ kind, at (ms), every (s), until? (ms) }] -> [{ kind, index, at, tag, title, body }]
+ * allow(at) écarte les occurrences hors planning (lib/schedule.js).
+ */
+export function planReminders(plan, now = Date.now(), allow = () => true) {
+  const out = [];
+  for (const { kind, at, every, until } of plan) {
+    if (!REMINDER_MESSAGES[kind] || !Number.isFinite(at) || !(every > 0)) continue;
+    const limit = Math.min(endOfDay(now), until ?? Infinity);
+    let t = Math.max(at, now + 1000);
+    for (let index = 0; index < MAX_PER_KIND && t <= limit; index += 1) {
+      if (allow(t)) out.push({ kind, index, at: t, tag: reminderTag(kind, t), ...REMINDER_MESSAGES[kind] });
+      t += every * 1000;
+    }
+  }
+  return out;
+}
@@ -0,0 +1,170 @@
+import { EXERCISE_CATEGORIES, DURATION_MIN_SEC, DURATION_MAX_SEC, NAME_MAX } from "./exercises";
+
+/**
+ * Routines composées par l'utilisateur (ex. « Reset bureau de l'après-midi »).
+ *
+ * Shape:
+ * { list: [{ id, name, steps: [{ exerciseId, durationSec, repeats, restSec }] }], removed: { [id]: name } }
+ * - exerciseId : exercice de la bibliothèque (lib/exercises.js), toutes catégories confondues
+ * - repeats : nombre de passages de l'étape, séparés par `restSec` de repos (0 = sans repos)
+ * - removed : nom des routines supprimées, pour libeller leurs compteurs dans les Stats
+ * Une routine terminée est créditée sous son propre id (todayStats.routines).
+ */
+
+export const MAX_ROUTINES = 12;
+export const MAX_STEPS = 20;
+export const MAX_REPEATS = 10;
+export const MAX_REST_SEC = 120;
+
+export const REST_STEP_ID = "rest";
+
+const ID_RE = /^[a-z0-9-]{1,48}$/;
+
+export const EMPTY_ROUTINES = { list: [], removed: {} };
+
+function clampInt(v, min, max) {
+  const n = Number(v);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.round(n))) : null;
+}
+
+/** Tous les exercices de la bibliothèque, actifs ou non : id -> { ...exercice, category }. */
+function exerciseIndex(catalog) {
+  const m = {};
+  for (const c of EXERCISE_CATEGORIES) {
+    for (const ex of catalog[c]) m[ex.id] = { ...ex, category: c };
+  }
+  return m;
+}
+
+/**
+ * Valide une routine saisie dans l'éditeur.
+ * Retourne { value } ({ name, steps }) ou { error } (message affichable).
+ */
+export function validateRoutine(draft, catalog) {
+  const name = String(draft?.name ?? "").trim();
+  if (!name) return { error: "Donnez un nom à la routine." };
+  if (name.length > NAME_MAX) return { error: `Nom trop long (${NAME_MAX} caractères max).` };
+
+  const index = exerciseIndex(catalog);
+  const raw = Array.isArray(draft?.steps) ? draft.steps : [];
+  if (raw.length === 0) return { error: "Ajoutez au moins une étape." };
+  if (raw.length > MAX_STEPS) return { error: `${MAX_STEPS} étapes maximum.` };
+
+  const steps = [];
+  for (const [i, s] of raw.entries()) {
+    if (!index[s.exerciseId]) return { error: `Étape ${i + 1} : choisissez un exercice.` };
+    const durationSec = clampInt(s.durationSec, DURATION_MIN_SEC, DURATION_MAX_SEC);
+    if (durationSec === null || Number(s.durationSec) !== durationSec) {
+      return { error: `Étape ${i + 1} : durée entre ${DURATION_MIN_SEC} et ${DURATION_MAX_SEC} secondes.` };
+    }
+    steps.push({
+      exerciseId: s.exerciseId,
+      durationSec,
+      repeats: clampInt(s.repeats, 1, MAX_REPEATS) ?? 1,
+      restSec: clampInt(s.restSec, 0, MAX_REST_SEC) ?? 0
+    });
+  }
+  return { value: { name, steps } };
+}
+
+export function sanitizeRoutines(raw) {
+  if (!raw || typeof raw !== "object") return EMPTY_ROUTINES;
+  const list = [];
+  const seen = new Set();
+  for (const r of Array.isArray(raw.list) ? raw.list : []) {
+    if (!r || typeof r.id !== "string" || !ID_RE.test(r.id) || seen.has(r.id) || list.length >= MAX_ROUTINES) continue;
+    const name = String(r.name ?? "").trim().slice(0, NAME_MAX);
+    const steps = (Array.isArray(r.steps) ? r.steps : [])
+      .filter((s) => s && typeof s.exerciseId === "string" && ID_RE.test(s.exerciseId))
+      .slice(0, MAX_STEPS)
+      .map((s) => ({
+        exerciseId: s.exerciseId,
+        durationSec: clampInt(s.durationSec, DURATION_MIN_SEC, DURATION_MAX_SEC) ?? 30,
+        repeats: clampInt(s.repeats, 1, MAX_REPEATS) ?? 1,
+        restSec: clampInt(s.restSec, 0, MAX_REST_SEC) ?? 0
+      }));
+    if (!name || steps.length === 0) continue;
+    seen.add(r.id);
+    list.push({ id: r.id, name, steps });
+  }
+  const removed = {};
+  if (raw.removed && typeof raw.removed === "object") {
+    for (const [id, name] of Object.entries(raw.removed)) {
+      if (ID_RE.test(id) && typeof name === "string" && !seen.has(id)) removed[id] = name.slice(0, NAME_MAX);
+    }
+  }
+  return { list, removed };
+}
+
+/**
+ * File d'étapes jouée par le lecteur de routine.
+ * Chaque étape garde son exercice d'origine (id + catégorie, pour les compteurs `details`) ;
+ * les repos sont des étapes à part (id REST_STEP_ID, jamais comptées). Un exercice supprimé
+ * de la bibliothèque depuis est simplement sauté.
+ */
+export function buildRoutineQueue(routine, catalog) {
+  const index = exerciseIndex(catalog);
+  const queue = [];
+  const steps = routine.steps.filter((s) => index[s.exerciseId]);
+  steps.forEach((s, i) => {
+    const ex = index[s.exerciseId];
+    for (let k = 0; k < s.repeats; k += 1) {
+      queue.push({
+        id: ex.id,
+        category: ex.category,
+        name: s.repeats > 1 ? `${ex.name} (${k + 1}/${s.repeats})` : ex.name,
+        desc: ex.desc,
+        image: ex.image,
+        breathing: ex.breathing,
+        durationSec: s.durationSec
+      });
+      const last = i === steps.length - 1 && k === s.repeats - 1;
+      if (s.restSec > 0 && !last) {
+        queue.push({ id: REST_STEP_ID, name: "Repos", desc: "Relâchez et respirez calmement.", durationSec: s.restSec });
+      }
+    }
+  });
+  return queue;
+}
+
+export function routineDurationSec(routine, catalog) {
+  return buildRoutineQueue(routine, catalog).reduce((acc, s) => acc + s.durationSec, 0);
+}
+
+/** id -> nom, routines supprimées comprises. */
+export function routineLabels(routines) {
+  const m = { ...routines.removed };
+  for (const r of routines.list) m[r.id] = r.name;
+  return m;
+}
+
+/* =========================
+ * Édition
+ * ========================= */
+export function saveRoutine(routines, id, value, now = Date.now()) {
+  if (id) {
+    return { ...routines, list: routines.list.map((r) => (r.id === id ? { ...r, ...value } : r)) };
+  }
+  if (routines.list.length >= MAX_ROUTINES) return routines;
+  const labels = routineLabels(routines);
+  let newId = `routine-${now.toString(36)}`;
+  for (let i = 2; labels[newId] !== undefined; i += 1) newId = `routine-${now.toString(36)}-${i}`;
+  return { ...routines, list: [...routines.list, { id: newId, ...value }] };
+}
+
+export function deleteRoutine(routines, id) {
+  const r = routines.list.find((x) => x.id === id);
+  if (!r) return routines;
+  return { list: routines.list.filter((x) => x.id !== id), removed: { ...routines.removed, [id]: r.name } };
+}
+
+/** Compteurs de routines terminées d'un jour : { [routineId]: n }. */
+export function sanitizeRoutineCounts(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [id, n] of Object.entries(raw)) {
+    const v = clampInt(n, 0, 500);
+    if (ID_RE.test(id) && v) out[id] = v;
+  }
+  return out;
+}
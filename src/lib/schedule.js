@@ -0,0 +1,129 @@
+/**
+ * Planning hebdomadaire des rappels : jours travaillés, horaires, pause déjeuner, plages "ne pas déranger".
+ *
+ * En dehors du planning, les timers se mettent en pause d'eux-mêmes et reprennent à la frontière suivante ;
+ * workTime ne compte que le temps planifié (sauf si l'utilisateur relance les timers à la main).
+ *
+ * Shape:
+ * { enabled, days: [0..6] (0 = dimanche, comme Date.getDay), start, end,
+ *   lunch: { enabled, start, end }, quiet: [{ start, end }] }   — heures en "HH:MM"
+ * Une plage "ne pas déranger" peut passer minuit (ex. 22:00 → 07:00).
+ */
+
+export const WEEKDAYS = [
+  { id: 1, short: "L", label: "Lundi" },
+  { id: 2, short: "M", label: "Mardi" },
+  { id: 3, short: "M", label: "Mercredi" },
+  { id: 4, short: "J", label: "Jeudi" },
+  { id: 5, short: "V", label: "Vendredi" },
+  { id: 6, short: "S", label: "Samedi" },
+  { id: 0, short: "D", label: "Dimanche" }
+];
+
+export const MAX_QUIET_WINDOWS = 3;
+
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  days: [1, 2, 3, 4, 5],
+  start: "09:00",
+  end: "18:00",
+  lunch: { enabled: true, start: "12:30", end: "13:30" },
+  quiet: []
+};
+
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function time(v, fallback) {
+  return TIME_RE.test(v) ? v : fallback;
+}
+
+export function sanitizeSchedule(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  const d = DEFAULT_SCHEDULE;
+  const days = Array.isArray(s.days)
+    ? [...new Set(s.days.filter((n) => Number.isInteger(n) && n >= 0 && n <= 6))].sort()
+    : d.days;
+  let start = time(s.start, d.start);
+  let end = time(s.end, d.end);
+  if (start >= end) [start, end] = [d.start, d.end];
+
+  const lunchRaw = s.lunch && typeof s.lunch === "object" ? s.lunch : {};
+  let lunch = {
+    enabled: typeof lunchRaw.enabled === "boolean" ? lunchRaw.enabled : d.lunch.enabled,
+    start: time(lunchRaw.start, d.lunch.start),
+    end: time(lunchRaw.end, d.lunch.end)
+  };
+  if (lunch.start >= lunch.end) lunch = { ...lunch, start: d.lunch.start, end: d.lunch.end };
+
+  const quiet = (Array.isArray(s.quiet) ? s.quiet : [])
+    .filter((q) => q && TIME_RE.test(q.start) && TIME_RE.test(q.end) && q.start !== q.end)
+    .slice(0, MAX_QUIET_WINDOWS)
+    .map((q) => ({ start: q.start, end: q.end }));
+
+  return { enabled: typeof s.enabled === "boolean" ? s.enabled : d.enabled, days, start, end, lunch, quiet };
+}
+
+/* =========================
+ * Queries
+ * ========================= */
+function minutesOf(hhmm) {
+  const [h, m] = hhmm.split(":").map(Number);
+  return h * 60 + m;
+}
+
+function inWindow(min, start, end) {
+  const a = minutesOf(start);
+  const b = minutesOf(end);
+  return a < b ? min >= a && min < b : min >= a || min < b; // b < a : la plage passe minuit
+}
+
+/** Le planning autorise-t-il les rappels à cet instant ? (toujours vrai si le planning est désactivé) */
+export function isScheduledAt(schedule, ms) {
+  if (!schedule.enabled) return true;
+  const d = new Date(ms);
+  const min = d.getHours() * 60 + d.getMinutes();
+  if (!schedule.days.includes(d.getDay())) return false;
+  if (!inWindow(min, schedule.start, schedule.end)) return false;
+  if (schedule.lunch.enabled && inWindow(min, schedule.lunch.start, schedule.lunch.end)) return false;
+  return !schedule.quiet.some((q) => inWindow(min, q.start, q.end));
+}
+
+/** Heures "HH:MM" où l'état du planning peut changer. */
+function boundaryTimes(schedule) {
+  const times = [schedule.start, schedule.end, "00:00"];
+  if (schedule.lunch.enabled) times.push(schedule.lunch.start, schedule.lunch.end);
+  for (const q of schedule.quiet) times.push(q.start, q.end);
+  return [...new Set(times)].map(minutesOf).sort((a, b) => a - b);
+}
+
+/**
+ * Prochain instant (ms) où isScheduledAt change de valeur après `ms`, ou null (planning désactivé,
+ * ou aucun changement dans les 8 prochains jours, ex. aucun jour coché).
+ */
+export function nextBoundary(schedule, ms) {
+  if (!schedule.enabled) return null;
+  const state = isScheduledAt(schedule, ms);
+  const mins = boundaryTimes(schedule);
+  const day0 = new Date(ms);
+  for (let i = 0; i <= 8; i += 1) {
+    for (const m of mins) {
+      const t = new Date(day0.getFullYear(), day0.getMonth(), day0.getDate() + i, Math.floor(m / 60), m % 60).getTime();
+      if (t > ms && isScheduledAt(schedule, t) !== state) return t;
+    }
+  }
+  return null;
+}
+
+/** Secondes planifiées entre from et to (pour créditer workTime après une veille). */
+export function scheduledSecondsBetween(schedule, from, to) {
+  if (to <= from) return 0;
+  if (!schedule.enabled) return Math.floor((to - from) / 1000);
+  let total = 0;
+  let cursor = from;
+  while (cursor < to) {
+    const next = Math.min(nextBoundary(schedule, cursor) ?? to, to);
+    if (isScheduledAt(schedule, cursor)) total += next - cursor;
+    cursor = next;
+  }
+  return Math.floor(total / 1000);
+}
@@ -0,0 +1,104 @@
+/**
+ * Bibliothèque de signaux sonores : jeux de sons, son par événement, ambiances des routines du coucher.
+ * Pure description des sons ; la synthèse (un seul AudioContext partagé) est dans platform/audio.js.
+ *
+ * Settings shape:
+ * { cueSet: id, events: { drink|reminder|step|done: boolean }, volume: 0..1, ambient: "off"|"rain"|"white"|"brown" }
+ * Le bouton « Sons » (soundEnabled) reste l'interrupteur général.
+ */
+
+export const SOUND_EVENTS = ["drink", "reminder", "step", "done"];
+
+export const SOUND_EVENT_LABELS = {
+  drink: "Boisson",
+  reminder: "Rappels",
+  step: "Étape suivante",
+  done: "Routine terminée"
+};
+
+/**
+ * Un son = quelques notes { freq, at (ms après le début) } jouées avec le timbre du jeu :
+ * onde, partiels [rapport de fréquence, poids] (la cloche a des harmoniques inharmoniques), décroissance.
+ */
+export const CUE_SETS = [
+  {
+    id: "chime",
+    label: "Carillon",
+    wave: "sine",
+    partials: [[1, 1]],
+    decaySec: 0.45,
+    gain: 0.05,
+    events: {
+      drink: [{ freq: 740, at: 0 }, { freq: 988, at: 90 }],
+      reminder: [{ freq: 880, at: 0 }, { freq: 660, at: 160 }, { freq: 880, at: 320 }],
+      step: [{ freq: 660, at: 0 }],
+      done: [{ freq: 523, at: 0 }, { freq: 659, at: 110 }, { freq: 784, at: 220 }, { freq: 1047, at: 330 }]
+    }
+  },
+  {
+    id: "bell",
+    label: "Cloche douce",
+    wave: "sine",
+    partials: [[1, 1], [2.76, 0.35], [5.4, 0.12]],
+    decaySec: 1.6,
+    gain: 0.035,
+    events: {
+      drink: [{ freq: 587, at: 0 }],
+      reminder: [{ freq: 440, at: 0 }, { freq: 440, at: 600 }],
+      step: [{ freq: 523, at: 0 }],
+      done: [{ freq: 392, at: 0 }, { freq: 523, at: 350 }, { freq: 659, at: 700 }]
+    }
+  },
+  {
+    id: "wood",
+    label: "Bloc de bois",
+    wave: "triangle",
+    partials: [[1, 1], [2.1, 0.4]],
+    decaySec: 0.07,
+    gain: 0.12,
+    events: {
+      drink: [{ freq: 1200, at: 0 }],
+      reminder: [{ freq: 900, at: 0 }, { freq: 900, at: 140 }, { freq: 1200, at: 280 }],
+      step: [{ freq: 1000, at: 0 }],
+      done: [{ freq: 800, at: 0 }, { freq: 1000, at: 120 }, { freq: 1300, at: 240 }]
+    }
+  },
+  { id: "silent", label: "Silencieux", events: {} }
+];
+
+export const AMBIENT_SOUNDS = [
+  { id: "off", label: "Aucune" },
+  { id: "rain", label: "Pluie" },
+  { id: "white", label: "Bruit blanc" },
+  { id: "brown", label: "Bruit brun (grave)" }
+];
+
+export const DEFAULT_SOUND = {
+  cueSet: "chime",
+  events: { drink: true, reminder: true, step: true, done: true },
+  volume: 0.8,
+  ambient: "off"
+};
+
+export function sanitizeSound(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const ev = r.events && typeof r.events === "object" ? r.events : {};
+  const events = {};
+  for (const e of SOUND_EVENTS) events[e] = ev[e] !== false;
+  const volume = Number(r.volume);
+  return {
+    cueSet: CUE_SETS.some((s) => s.id === r.cueSet) ? r.cueSet : DEFAULT_SOUND.cueSet,
+    events,
+    volume: Number.isFinite(volume) ? Math.min(1, Math.max(0, Math.round(volume * 20) / 20)) : DEFAULT_SOUND.volume,
+    ambient: AMBIENT_SOUNDS.some((a) => a.id === r.ambient) ? r.ambient : DEFAULT_SOUND.ambient
+  };
+}
+
+/** Son à jouer pour un événement, ou null (événement coupé, jeu silencieux). */
+export function cueFor(settings, event) {
+  if (!settings.events[event]) return null;
+  const set = CUE_SETS.find((s) => s.id === settings.cueSet);
+  const notes = set?.events[event];
+  if (!notes?.length) return null;
+  return { wave: set.wave, partials: set.partials, decaySec: set.decaySec, gain: set.gain, notes };
+}
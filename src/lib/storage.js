@@ -0,0 +1,162 @@
+import { Capacitor } from "@capacitor/core";
+import { Preferences } from "@capacitor/preferences";
+
+/**
+ * Couche de stockage unique (web + Capacitor).
+ *
+ * Toutes les valeurs sont du JSON sérialisé sous les mêmes clés quel que soit le backend,
+ * pour que les builds Android et web lisent et écrivent les mêmes données.
+ *
+ * Backend shape (async):
+ * { name, getItem(key) -> string|null, setItem(key, string), removeItem(key), keys() -> string[] }
+ */
+
+export const STORAGE_KEYS = {
+  state: "zenhydratation_state_v5",
+  history: "zenhydratation_history_v5",
+  archive: "zenhydratation_archive_v5",
+  // images importées des exercices, écrites seulement quand elles changent (lib/exercises.js)
+  images: "zenhydratation_images_v5",
+  // { version } du schéma écrit (voir lib/migrations.js)
+  meta: "zenhydratation_meta"
+};
+
+/* =========================
+ * Backends
+ * ========================= */
+export function createLocalStorageBackend() {
+  const ls = () => (typeof window === "undefined" ? null : window.localStorage);
+  return {
+    name: "localStorage",
+    async getItem(key) {
+      return ls()?.getItem(key) ?? null;
+    },
+    async setItem(key, value) {
+      ls()?.setItem(key, value);
+    },
+    async removeItem(key) {
+      ls()?.removeItem(key);
+    },
+    async keys() {
+      const s = ls();
+      if (!s) return [];
+      return Array.from({ length: s.length }, (_, i) => s.key(i)).filter(Boolean);
+    }
+  };
+}
+
+export function createPreferencesBackend() {
+  return {
+    name: "preferences",
+    async getItem(key) {
+      const { value } = await Preferences.get({ key });
+      return value ?? null;
+    },
+    async setItem(key, value) {
+      await Preferences.set({ key, value });
+    },
+    async removeItem(key) {
+      await Preferences.remove({ key });
+    },
+    async keys() {
+      const { keys } = await Preferences.keys();
+      return keys;
+    }
+  };
+}
+
+/** Backend en mémoire (tests, ou navigateur sans stockage). */
+export function createMemoryBackend(initial = {}) {
+  const map = new Map(Object.entries(initial));
+  return {
+    name: "memory",
+    async getItem(key) {
+      return map.has(key) ? map.get(key) : null;
+    },
+    async setItem(key, value) {
+      map.set(key, value);
+    },
+    async removeItem(key) {
+      map.delete(key);
+    },
+    async keys() {
+      return [...map.keys()];
+    }
+  };
+}
+
+/**
+ * Lit dans `legacy` ce que `primary` n'a pas encore, et le recopie dans `primary`.
+ * Utilisé sur Android : les versions précédentes écrivaient dans le localStorage de la WebView.
+ */
+function withReadThrough(primary, legacy) {
+  return {
+    ...primary,
+    name: `${primary.name}+${legacy.name}`,
+    async getItem(key) {
+      const v = await primary.getItem(key);
+      if (v !== null) return v;
+      const old = await legacy.getItem(key);
+      if (old !== null) await primary.setItem(key, old);
+      return old;
+    }
+  };
+}
+
+function defaultBackend() {
+  if (Capacitor.isNativePlatform()) {
+    return withReadThrough(createPreferencesBackend(), createLocalStorageBackend());
+  }
+  if (typeof window !== "undefined" && window.localStorage) return createLocalStorageBackend();
+  return createMemoryBackend();
+}
+
+/* =========================
+ * Storage API (JSON)
+ * ========================= */
+let backend = null;
+
+function current() {
+  if (!backend) backend = defaultBackend();
+  return backend;
+}
+
+export function getStorageBackendName() {
+  return current().name;
+}
+
+export async function getItem(key, fallback = null) {
+  try {
+    const raw = await current().getItem(key);
+    if (raw === null || raw === undefined || raw === "") return fallback;
+    return JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+/** Valeur brute (chaîne non parsée), ou null. */
+export async function getRawItem(key) {
+  return current().getItem(key);
+}
+
+/** Message affichable pour une écriture refusée (quota plein, Preferences indisponible…). */
+export function describeStorageError(e) {
+  const quota = e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22;
+  return quota
+    ? "Stockage plein : les dernières modifications ne sont pas enregistrées. Retirez des images d’exercices ou exportez puis réimportez un historique allégé."
+    : "Enregistrement impossible sur cet appareil : les dernières modifications risquent d’être perdues.";
+}
+
+/** Écrit la valeur ; rejette si le backend refuse (à l'appelant de le signaler). */
+export async function setItem(key, value) {
+  await current().setItem(key, JSON.stringify(value));
+}
+
+export async function removeItem(key) {
+  await current().removeItem(key);
+}
+
+export async function listKeys() {
+  return current().keys();
+}
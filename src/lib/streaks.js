@@ -0,0 +1,166 @@
+/**
+ * Séries (streaks) par habitude, avec règles configurables et jours "gel".
+ *
+ * Un jour compte si la règle de l'habitude est remplie pour ce jour.
+ * Aujourd'hui, tant que la règle n'est pas remplie, est "en cours" : il ne casse pas la série.
+ * Un jour manqué peut être couvert par un gel (quota mensuel) : la série continue
+ * mais le jour gelé ne s'ajoute pas à sa longueur.
+ */
+
+export const HABITS = [
+  { id: "hydration", label: "Hydratation", icon: "💧" },
+  { id: "eyes", label: "Pauses yeux", icon: "👁️" },
+  { id: "stretch", label: "Étirements", icon: "🤸" },
+  { id: "routines", label: "Routines réveil + coucher", icon: "🌗" }
+];
+
+/** Règles possibles pour la série principale (🔥) */
+export const STREAK_RULES = [
+  { id: "hydration", label: "Objectif d'hydratation atteint" },
+  { id: "eyes", label: "≥ N pauses yeux" },
+  { id: "stretch", label: "≥ N étirements" },
+  { id: "routines", label: "Routines réveil et coucher faites" },
+  { id: "all", label: "Toutes les habitudes" },
+  { id: "any", label: "Au moins une activité" }
+];
+
+export const DEFAULT_STREAK_SETTINGS = {
+  rule: "hydration",
+  minEyeBreaks: 3,
+  minStretches: 2,
+  freezesPerMonth: 0
+};
+
+export function sanitizeStreakSettings(raw) {
+  const s = raw && typeof raw === "object" ? raw : {};
+  const int = (v, min, max, fallback) => {
+    const n = Number(v);
+    return Number.isFinite(n) ? Math.min(max, Math.max(min, Math.floor(n))) : fallback;
+  };
+  return {
+    rule: STREAK_RULES.some((r) => r.id === s.rule) ? s.rule : DEFAULT_STREAK_SETTINGS.rule,
+    minEyeBreaks: int(s.minEyeBreaks, 1, 20, DEFAULT_STREAK_SETTINGS.minEyeBreaks),
+    minStretches: int(s.minStretches, 1, 20, DEFAULT_STREAK_SETTINGS.minStretches),
+    freezesPerMonth: int(s.freezesPerMonth, 0, 4, DEFAULT_STREAK_SETTINGS.freezesPerMonth)
+  };
+}
+
+function isAnyActivity(entry) {
+  return (
+    (entry.waterMl ?? 0) > 0 ||
+    (entry.eyeBreaks ?? 0) > 0 ||
+    (entry.stretches ?? 0) > 0 ||
+    (entry.wakeRoutines ?? 0) > 0 ||
+    (entry.sleepRoutines ?? 0) > 0
+  );
+}
+
+/**
+ * Prédicat "jour réussi" pour une règle.
+ * isGoalMet(entry) est fourni par l'appelant (il connaît les cibles de chaque jour).
+ */
+export function rulePredicate(ruleId, settings, isGoalMet) {
+  const checks = {
+    hydration: (e) => isGoalMet(e),
+    eyes: (e) => (e.eyeBreaks ?? 0) >= settings.minEyeBreaks,
+    stretch: (e) => (e.stretches ?? 0) >= settings.minStretches,
+    routines: (e) => (e.wakeRoutines ?? 0) > 0 && (e.sleepRoutines ?? 0) > 0,
+    any: isAnyActivity
+  };
+  if (ruleId === "all") {
+    return (e) => checks.hydration(e) && checks.eyes(e) && checks.stretch(e) && checks.routines(e);
+  }
+  return checks[ruleId] ?? checks.any;
+}
+
+function pad(n) {
+  return String(n).padStart(2, "0");
+}
+
+function keyOf(d) {
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+function parseKey(k) {
+  const [y, m, d] = k.split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+/**
+ * Parcourt l'historique du premier jour connu jusqu'à aujourd'hui.
+ * Retourne { current, best, frozen } — frozen = jours gelés dans la série en cours.
+ */
+export function computeStreak(history, isDone, { freezesPerMonth = 0, today = new Date() } = {}) {
+  const map = new Map(history.map((e) => [e.dayKey, e]));
+  const todayKey = keyOf(today);
+  const first = history.reduce((min, e) => (!min || e.dayKey < min ? e.dayKey : min), null);
+  if (!first || first > todayKey) return { current: 0, best: 0, frozen: 0 };
+
+  const freezesUsed = new Map(); // "YYYY-MM" -> count
+  let run = 0;
+  let frozen = 0;
+  let best = 0;
+
+  for (let cursor = parseKey(first); keyOf(cursor) <= todayKey; ) {
+    const dk = keyOf(cursor);
+    const entry = map.get(dk);
+
+    if (entry && isDone(entry)) {
+      run += 1;
+      best = Math.max(best, run);
+    } else if (dk !== todayKey) {
+      const month = dk.slice(0, 7);
+      const used = freezesUsed.get(month) ?? 0;
+      if (run > 0 && used < freezesPerMonth) {
+        freezesUsed.set(month, used + 1);
+        frozen += 1;
+      } else {
+        run = 0;
+        frozen = 0;
+      }
+    }
+
+    cursor = new Date(cursor.getFullYear(), cursor.getMonth(), cursor.getDate() + 1);
+  }
+
+  return { current: run, best, frozen };
+}
+
+/** Séries de toutes les habitudes + la série principale ("main") selon la règle choisie. */
+export function computeAllStreaks(history, settings, isGoalMet, today = new Date()) {
+  const opts = { freezesPerMonth: settings.freezesPerMonth, today };
+  const out = {};
+  for (const h of HABITS) {
+    out[h.id] = computeStreak(history, rulePredicate(h.id, settings, isGoalMet), opts);
+  }
+  out.main = computeStreak(history, rulePredicate(settings.rule, settings, isGoalMet), opts);
+  return out;
+}
+
+/** Records sauvegardés : { [ruleId]: meilleure série (jours) }, règles connues et entiers ≥ 0 seulement. */
+export function sanitizeStreakRecords(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const r of STREAK_RULES) {
+    const n = Number(raw[r.id]);
+    if (Number.isFinite(n) && n > 0) out[r.id] = Math.min(100_000, Math.floor(n));
+  }
+  return out;
+}
+
+/**
+ * Fusionne les records persistés avec les meilleurs scores recalculés (l'historique peut être tronqué).
+ * Les records sont indexés par règle : la série principale est rangée sous l'id de sa règle.
+ */
+export function mergeBestRecords(records, streaks, mainRule) {
+  const next = { ...(records ?? {}) };
+  let changed = false;
+  for (const [key, s] of Object.entries(streaks)) {
+    const id = key === "main" ? mainRule : key;
+    if ((next[id] ?? 0) < s.best) {
+      next[id] = s.best;
+      changed = true;
+    }
+  }
+  return changed ? next : records;
+}
@@ -0,0 +1,164 @@
+/**
+ * Rappels pilotés par l'horloge murale.
+ *
+ * On stocke des échéances absolues (ms epoch) plutôt que des secondes restantes :
+ * les ticks de setInterval dérivent et s'arrêtent quand l'onglet est ralenti ou le téléphone en veille.
+ * À chaque tick (ou au retour au premier plan), on compare simplement Date.now() aux échéances.
+ *
+ * Shape:
+ * { dueAt: { eye, stretch }, pausedLeft: { eye, stretch } | null, pausedBy: "manual"|"schedule"|"idle"|"focus"|null,
+ *   idleSince?: ms, workFrom: ms | null }
+ * - pausedLeft : secondes restantes figées pendant la pause (null = en marche)
+ * - pausedBy : qui a mis en pause (planning, absence et pauses du mode focus reprennent d'elles-mêmes)
+ * - idleSince : début de l'absence (pause "idle" seulement)
+ * - workFrom : depuis quand le temps actif n'a pas encore été crédité dans workTime
+ *   (null = horloge de travail arrêtée : en pause, ou app en arrière-plan — les rappels, eux, continuent)
+ */
+
+export const TIMER_KEYS = ["eye", "stretch"];
+
+// workTime est crédité par paquets, pour éviter de re-rendre les stats à chaque seconde
+export const WORK_FLUSH_SEC = 10;
+
+export function startTimers(now, intervals) {
+  const dueAt = {};
+  for (const k of TIMER_KEYS) dueAt[k] = now + intervals[k] * 1000;
+  return { dueAt, pausedLeft: null, pausedBy: null, workFrom: now };
+}
+
+export function isTimersPaused(t) {
+  return t.pausedLeft !== null;
+}
+
+/** Secondes restantes avant l'échéance (arrondi au-dessus, jamais négatif). */
+export function remainingSec(t, key, now) {
+  if (t.pausedLeft) return t.pausedLeft[key];
+  return Math.max(0, Math.ceil((t.dueAt[key] - now) / 1000));
+}
+
+function startOfDay(now) {
+  return new Date(now).setHours(0, 0, 0, 0);
+}
+
+/** Temps actif pas encore crédité (s), borné au début du jour : workTime est journalier. */
+export function pendingWorkSec(t, now) {
+  if (t.pausedLeft || t.workFrom === null) return 0;
+  const from = Math.max(t.workFrom, startOfDay(now));
+  return Math.max(0, Math.floor((now - from) / 1000));
+}
+
+/**
+ * Avance les rappels jusqu'à `now`.
+ * Un rappel en retard (même de plusieurs intervalles après une veille) ne se déclenche qu'une fois,
+ * puis repart d'un intervalle complet à partir de maintenant.
+ * Retourne { timers, fired: ["eye"|"stretch"], workSec } — timers est inchangé (===) si rien à faire.
+ */
+export function tickTimers(t, now, intervals) {
+  if (t.pausedLeft) return { timers: t, fired: [], workSec: 0 };
+
+  const fired = [];
+  let dueAt = t.dueAt;
+  for (const k of TIMER_KEYS) {
+    if (now >= dueAt[k]) {
+      fired.push(k);
+      dueAt = { ...dueAt, [k]: now + intervals[k] * 1000 };
+    }
+  }
+
+  let workSec = pendingWorkSec(t, now);
+  let workFrom = t.workFrom;
+  if (workSec >= WORK_FLUSH_SEC) {
+    workFrom = Math.max(t.workFrom ?? now, startOfDay(now)) + workSec * 1000;
+  } else {
+    workSec = 0;
+  }
+
+  if (fired.length === 0 && workSec === 0) return { timers: t, fired, workSec };
+  return { timers: { ...t, dueAt, workFrom }, fired, workSec };
+}
+
+/** Pause : fige les secondes restantes. Le temps actif restant est à créditer par l'appelant (pendingWorkSec). */
+export function pauseTimers(t, now, reason = "manual") {
+  if (t.pausedLeft) return t;
+  const pausedLeft = {};
+  for (const k of TIMER_KEYS) pausedLeft[k] = Math.max(1, remainingSec(t, k, now));
+  return { ...t, pausedLeft, pausedBy: reason, workFrom: null };
+}
+
+/** Pause d'absence, datée du début de l'absence pour pouvoir la décompter au retour. */
+export function pauseForIdle(t, now, since) {
+  if (t.pausedLeft) return t;
+  return { ...pauseTimers(t, now, "idle"), idleSince: Math.min(since, now) };
+}
+
+/** Reprise ; working = false si l'app est en arrière-plan (l'horloge de travail repartira au retour). */
+export function resumeTimers(t, now, working = true) {
+  if (!t.pausedLeft) return t;
+  const dueAt = {};
+  for (const k of TIMER_KEYS) dueAt[k] = now + t.pausedLeft[k] * 1000;
+  return { dueAt, pausedLeft: null, pausedBy: null, workFrom: working ? now : null };
+}
+
+/** App en arrière-plan : plus de temps actif. Le temps restant est à créditer par l'appelant (pendingWorkSec). */
+export function stopWorkClock(t) {
+  return t.workFrom === null ? t : { ...t, workFrom: null };
+}
+
+/** Retour au premier plan : le temps actif repart de `now` (rien à faire en pause). */
+export function startWorkClock(t, now) {
+  return t.pausedLeft || t.workFrom !== null ? t : { ...t, workFrom: now };
+}
+
+/** Un intervalle raccourci ramène l'échéance si elle est plus lointaine que le nouvel intervalle. */
+export function capTimer(t, key, sec, now) {
+  if (t.pausedLeft) {
+    return { ...t, pausedLeft: { ...t.pausedLeft, [key]: Math.min(t.pausedLeft[key], sec) } };
+  }
+  return { ...t, dueAt: { ...t.dueAt, [key]: Math.min(t.dueAt[key], now + sec * 1000) } };
+}
+
+/** Relance un rappel pour un intervalle complet (pause faite, rappel traité…). */
+export function restartTimer(t, key, sec, now) {
+  if (t.pausedLeft) return { ...t, pausedLeft: { ...t.pausedLeft, [key]: sec } };
+  return { ...t, dueAt: { ...t.dueAt, [key]: now + sec * 1000 } };
+}
+
+/**
+ * Retour d'absence : une absence au moins aussi longue qu'un intervalle vaut une pause naturelle,
+ * ce rappel repart donc d'un intervalle complet.
+ */
+export function resetAfterAbsence(t, awaySec, intervals, now) {
+  let out = t;
+  for (const k of TIMER_KEYS) {
+    if (awaySec >= intervals[k]) out = restartTimer(out, k, intervals[k], now);
+  }
+  return out;
+}
+
+/**
+ * Valide des timers sauvegardés (démarrage de l'app).
+ * Les échéances passées sont gardées telles quelles : le premier tick déclenchera le rappel en retard.
+ */
+export function sanitizeTimers(raw, now, intervals) {
+  if (!raw || typeof raw !== "object" || !raw.dueAt) return null;
+  const finite = (v) => typeof v === "number" && Number.isFinite(v);
+  const out = { dueAt: {}, pausedLeft: null, pausedBy: null, workFrom: null };
+  for (const k of TIMER_KEYS) {
+    const max = intervals[k] * 1000;
+    out.dueAt[k] = finite(raw.dueAt[k]) ? Math.min(raw.dueAt[k], now + max) : now + max;
+  }
+  if (raw.pausedLeft && typeof raw.pausedLeft === "object") {
+    out.pausedLeft = {};
+    for (const k of TIMER_KEYS) {
+      const v = raw.pausedLeft[k];
+      out.pausedLeft[k] = finite(v) ? Math.min(intervals[k], Math.max(1, Math.round(v))) : intervals[k];
+    }
+    out.pausedBy = ["schedule", "idle", "focus"].includes(raw.pausedBy) ? raw.pausedBy : "manual";
+    if (out.pausedBy === "idle") out.idleSince = finite(raw.idleSince) ? Math.min(raw.idleSince, now) : now;
+  } else {
+    // l'app était fermée depuis la dernière sauvegarde : ce n'est pas du temps actif, on recompte d'ici
+    // (au pire les quelques secondes pas encore créditées, < WORK_FLUSH_SEC, sont perdues)
+    out.workFrom = now;
+  }
+  return out;
+}
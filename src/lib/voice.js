@@ -0,0 +1,70 @@
+/**
+ * Guidage vocal du lecteur de routine : réglages et textes annoncés.
+ * La synthèse elle-même (Web Speech API) est dans platform/speech.js.
+ *
+ * Settings shape:
+ * { categories: { eye|stretch|wake|sleep|custom: boolean }, voiceURI: string, rate: number, countdownSec: number }
+ * - voiceURI : "" = voix française par défaut du système
+ * - countdownSec : décompte annoncé à la fin de chaque étape (0 = pas de décompte)
+ */
+
+export const VOICE_CATEGORIES = ["eye", "stretch", "wake", "sleep", "custom"];
+
+export const VOICE_CATEGORY_LABELS = {
+  eye: "Yeux",
+  stretch: "Étirements",
+  wake: "Réveil",
+  sleep: "Coucher",
+  custom: "Routines perso"
+};
+
+export const VOICE_RATES = [0.8, 0.9, 1, 1.1, 1.25];
+export const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+
+export const DEFAULT_VOICE = {
+  categories: { eye: false, stretch: false, wake: false, sleep: false, custom: false },
+  voiceURI: "",
+  rate: 1,
+  countdownSec: 3
+};
+
+export function sanitizeVoice(raw) {
+  const r = raw && typeof raw === "object" ? raw : {};
+  const cats = r.categories && typeof r.categories === "object" ? r.categories : {};
+  const categories = {};
+  for (const c of VOICE_CATEGORIES) categories[c] = cats[c] === true;
+  const rate = Number(r.rate);
+  const countdownSec = Number(r.countdownSec);
+  return {
+    categories,
+    voiceURI: typeof r.voiceURI === "string" ? r.voiceURI.slice(0, 200) : "",
+    rate: VOICE_RATES.includes(rate) ? rate : DEFAULT_VOICE.rate,
+    countdownSec: COUNTDOWN_OPTIONS.includes(countdownSec) ? countdownSec : DEFAULT_VOICE.countdownSec
+  };
+}
+
+export function voiceEnabledFor(settings, type) {
+  return settings.categories[type] === true;
+}
+
+/** Annonce d'une étape : numéro, nom, consigne (ou durée du repos). */
+export function stepAnnouncement(step, index, total, restId) {
+  if (!step) return "";
+  if (step.id === restId) return `Repos, ${step.durationSec} secondes.`;
+  const head = total > 1 ? `Étape ${index + 1} sur ${total}. ` : "";
+  return `${head}${step.name}. ${step.desc ?? ""}`.trim();
+}
+
+/**
+ * Décompte à annoncer à `remainingSec` secondes de la fin, ou null.
+ * Pas de décompte sur une étape de moins du double : l'annonce de l'étape n'aurait pas le temps de finir.
+ */
+export function countdownAnnouncement(settings, step, remainingSec) {
+  const n = settings.countdownSec;
+  if (!step || n <= 0 || step.durationSec <= n * 2) return null;
+  return remainingSec >= 1 && remainingSec <= n ? String(remainingSec) : null;
+}
+
+export function completionAnnouncement() {
+  return "Routine terminée. Bravo !";
+}
@@ -0,0 +1,40 @@
+import { Capacitor } from "@capacitor/core";
+
+// Signaux d'activité pour la détection d'absence (lib/idle.js).
+// Premier plan / arrière-plan : Android -> événements pause/resume de @capacitor/app, web -> Page Visibility API.
+
+const INPUT_EVENTS = ["pointerdown", "pointermove", "keydown", "wheel", "touchstart", "scroll"];
+
+/** handler() à chaque saisie. Retourne une fonction de désabonnement. */
+export function onUserInput(handler) {
+  const opts = { passive: true, capture: true };
+  for (const ev of INPUT_EVENTS) window.addEventListener(ev, handler, opts);
+  return () => {
+    for (const ev of INPUT_EVENTS) window.removeEventListener(ev, handler, opts);
+  };
+}
+
+/** handler(visible: boolean) au passage premier plan / arrière-plan. Retourne une fonction de désabonnement. */
+export async function onAppVisibility(handler) {
+  if (Capacitor.isNativePlatform()) {
+    try {
+      const { App } = await import("@capacitor/app");
+      const paused = await App.addListener("pause", () => handler(false));
+      const resumed = await App.addListener("resume", () => handler(true));
+      return () => {
+        paused.remove();
+        resumed.remove();
+      };
+    } catch {
+      // plugin indisponible : on retombe sur la Page Visibility API de la WebView
+    }
+  }
+
+  const onChange = () => handler(document.visibilityState === "visible");
+  document.addEventListener("visibilitychange", onChange);
+  return () => document.removeEventListener("visibilitychange", onChange);
+}
+
+export function isAppVisible() {
+  return typeof document === "undefined" || document.visibilityState === "visible";
+}
@@ -0,0 +1,151 @@
+// Service audio (Web Audio API) : un seul AudioContext pour toute l'app, derrière un gain maître (volume).
+// Les sons sont décrits dans lib/sounds.js ; ici on ne fait que les synthétiser.
+// Sur le web, le contexte reste suspendu jusqu'à une première interaction : on le relance à chaque son.
+
+// volume 0.8 (défaut) = niveau des anciens bips
+const MASTER_LEVEL = 1.25;
+const AMBIENT_GAIN = 0.18;
+const NOISE_SECONDS = 4;
+
+let ctx = null;
+let master = null;
+let volume = 0.8;
+let ambient = null; // { kind, source, gain }
+
+function context() {
+  try {
+    if (!ctx) {
+      const AudioCtx = window.AudioContext || window.webkitAudioContext;
+      if (!AudioCtx) return null;
+      ctx = new AudioCtx();
+      master = ctx.createGain();
+      master.gain.value = volume * MASTER_LEVEL;
+      master.connect(ctx.destination);
+    }
+    if (ctx.state === "suspended") ctx.resume().catch(() => {});
+    return ctx;
+  } catch {
+    return null;
+  }
+}
+
+export function setMasterVolume(v) {
+  volume = v;
+  if (master) master.gain.setTargetAtTime(v * MASTER_LEVEL, ctx.currentTime, 0.05);
+}
+
+/** Bip simple (retours d'interface, respiration guidée). */
+export function playTone({ freq = 740, durationMs = 180, gain = 0.03 } = {}) {
+  const c = context();
+  if (!c) return;
+  try {
+    const t = c.currentTime;
+    const end = t + durationMs / 1000;
+    const o = c.createOscillator();
+    const g = c.createGain();
+    o.type = "sine";
+    o.frequency.value = freq;
+    g.gain.setValueAtTime(gain, t);
+    // courte rampe de fin : pas de clic à l'arrêt de l'oscillateur
+    g.gain.setValueAtTime(gain, Math.max(t, end - 0.02));
+    g.gain.linearRampToValueAtTime(0, end);
+    o.connect(g);
+    g.connect(master);
+    o.start(t);
+    o.stop(end);
+  } catch {
+    // ignore
+  }
+}
+
+/** Joue un son décrit par cueFor() (lib/sounds.js) ; null = rien. */
+export function playCue(cue) {
+  if (!cue) return;
+  const c = context();
+  if (!c) return;
+  try {
+    for (const note of cue.notes) {
+      const t = c.currentTime + note.at / 1000;
+      for (const [ratio, weight] of cue.partials) {
+        const o = c.createOscillator();
+        const g = c.createGain();
+        o.type = cue.wave;
+        o.frequency.value = note.freq * ratio;
+        g.gain.setValueAtTime(0.0001, t);
+        g.gain.exponentialRampToValueAtTime(cue.gain * weight, t + 0.005);
+        g.gain.exponentialRampToValueAtTime(0.0001, t + cue.decaySec);
+        o.connect(g);
+        g.connect(master);
+        o.start(t);
+        o.stop(t + cue.decaySec + 0.05);
+      }
+    }
+  } catch {
+    // ignore
+  }
+}
+
+function noiseBuffer(c, kind) {
+  const buffer = c.createBuffer(1, c.sampleRate * NOISE_SECONDS, c.sampleRate);
+  const data = buffer.getChannelData(0);
+  let last = 0;
+  for (let i = 0; i < data.length; i += 1) {
+    const white = Math.random() * 2 - 1;
+    if (kind === "white") {
+      data[i] = white * 0.5;
+    } else {
+      // bruit brun : marche aléatoire amortie, énergie dans les graves
+      last = (last + 0.02 * white) / 1.02;
+      data[i] = last * 3.5;
+    }
+  }
+  return buffer;
+}
+
+/** Boucle d'ambiance (kind : "rain" | "white" | "brown"), remplace celle en cours. */
+export function startAmbient(kind) {
+  if (ambient?.kind === kind) return;
+  stopAmbient();
+  const c = context();
+  if (!c) return;
+  try {
+    const source = c.createBufferSource();
+    source.buffer = noiseBuffer(c, kind === "brown" ? "brown" : "white");
+    source.loop = true;
+    const gain = c.createGain();
+    gain.gain.setValueAtTime(0.0001, c.currentTime);
+    gain.gain.exponentialRampToValueAtTime(AMBIENT_GAIN, c.currentTime + 1.5);
+
+    let out = source;
+    if (kind === "rain") {
+      // pluie : bruit blanc adouci, sans les graves ni les aigus durs
+      const hp = c.createBiquadFilter();
+      hp.type = "highpass";
+      hp.frequency.value = 400;
+      const lp = c.createBiquadFilter();
+      lp.type = "lowpass";
+      lp.frequency.value = 5000;
+      source.connect(hp);
+      hp.connect(lp);
+      out = lp;
+    }
+    out.connect(gain);
+    gain.connect(master);
+    source.start();
+    ambient = { kind, source, gain };
+  } catch {
+    ambient = null;
+  }
+}
+
+export function stopAmbient() {
+  if (!ambient || !ctx) return;
+  const { source, gain } = ambient;
+  ambient = null;
+  try {
+    gain.gain.setTargetAtTime(0.0001, ctx.currentTime, 0.2);
+    source.stop(ctx.currentTime + 1);
+  } catch {
+    // ignore
+  }
+}
@@ -0,0 +1,42 @@
+import { Capacitor } from "@capacitor/core";
+
+// Retours haptiques : Android -> @capacitor/haptics (moteur de vibration du téléphone, même en silencieux),
+// web -> navigator.vibrate (Android/Chrome ; ignoré ailleurs, notamment sur iOS).
+
+// motifs web (ms : vibration, pause, vibration…)
+const WEB_PATTERNS = {
+  drink: [30],
+  reminder: [80, 60, 80],
+  step: [40],
+  goal: [60, 50, 60, 50, 160],
+  inhale: [60],
+  phase: [30]
+};
+
+let pluginPromise = null;
+
+function plugin() {
+  if (!pluginPromise) pluginPromise = import("@capacitor/haptics");
+  return pluginPromise;
+}
+
+/** Retour haptique d'un événement : "drink" | "reminder" | "step" | "goal" | "inhale" | "phase". */
+export async function haptic(event) {
+  if (Capacitor.isNativePlatform()) {
+    try {
+      const { Haptics, ImpactStyle, NotificationType } = await plugin();
+      if (event === "reminder") await Haptics.notification({ type: NotificationType.Warning });
+      else if (event === "goal") await Haptics.notification({ type: NotificationType.Success });
+      else await Haptics.impact({ style: event === "step" || event === "inhale" ? ImpactStyle.Medium : ImpactStyle.Light });
+      return;
+    } catch {
+      // plugin indisponible : on retombe sur l'API web de la WebView
+    }
+  }
+
+  try {
+    navigator.vibrate?.(WEB_PATTERNS[event] ?? [30]);
+  } catch {
+    // vibration indisponible (navigateur) : pas de retour
+  }
+}
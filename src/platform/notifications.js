@@ -1,4 +1,63 @@
-// WEB ONLY: pas de notifs natives sur Vercel
-export async function ensureNotificationPermission() {}
-export async function cancelReminders() {}
-export async function scheduleNextReminders() {}
+import { Capacitor } from "@capacitor/core";
+
+// Service de notifications choisi selon la plateforme :
+// Android -> LocalNotifications (lib/notifications.js), web -> Notification API + service worker (notifications.web.js).
+// Import dynamique : le build web ne charge jamais le plugin natif.
+let servicePromise = null;
+
+function service() {
+  if (!servicePromise) {
+    servicePromise = Capacitor.isNativePlatform() ? import("../lib/notifications") : import("./notifications.web");
+  }
+  return servicePromise;
+}
+
+/** Android : rappels posés dans le système, livrés app fermée. Web : seulement tant qu'un onglet reste ouvert. */
+export const REMINDERS_WHEN_CLOSED = Capacitor.isNativePlatform();
+
+// Une notification refusée (permission, alarmes exactes…) ne doit jamais casser les timers de l'app.
+async function call(name, ...args) {
+  try {
+    const s = await service();
+    return await s[name](...args);
+  } catch {
+    return undefined;
+  }
+}
+
+export async function initNotifications() {
+  return call("initNotifications");
+}
+
+export async function ensureNotificationPermission() {
+  return call("ensureNotificationPermission");
+}
+
+export async function getNotificationPermission() {
+  return call("getNotificationPermission");
+}
+
+export async function cancelReminders() {
+  return call("cancelReminders");
+}
+
+/** { plan: [{ kind: "eye"|"stretch"|"water", at (ms), every (s) }], allow?: (at) => boolean, enabled } */
+export async function scheduleNextReminders(opts) {
+  return call("scheduleNextReminders", opts);
+}
+
+/**
+ * Actions choisies sur une notification système : handler({ kind, at, action }).
+ * Retourne une fonction de désabonnement.
+ */
+export async function onReminderAction(handler) {
+  return (await call("onReminderAction", handler)) ?? (() => {});
+}
+
+/**
+ * Rappel échu vu par la page. Web : onglet caché -> notification système tout de suite.
+ * Android : app au premier plan -> la notification système de la même échéance est retirée (la carte suffit).
+ */
+export async function showReminderNow(kind, at) {
+  return call("showReminderNow", kind, at);
+}
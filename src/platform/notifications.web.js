@@ -1,8 +1,92 @@
-// Web / Vercel: no-op
+// Web / Vercel: Notification API + service worker (public/sw.js)
+import { REMINDER_ACTIONS, REMINDER_MESSAGES, reminderTag } from "../lib/reminders";
 
-export async function ensureNotificationPermission() {}
+const SW_URL = "./sw.js";
+
+let registrationPromise = null;
+
+function supported() {
+  return typeof window !== "undefined" && "Notification" in window && "serviceWorker" in navigator;
+}
+
+function granted() {
+  return supported() && Notification.permission === "granted";
+}
+
+function getRegistration() {
+  if (!supported()) return Promise.resolve(null);
+  if (!registrationPromise) {
+    registrationPromise = navigator.serviceWorker
+      .register(SW_URL)
+      .then(() => navigator.serviceWorker.ready)
+      .catch(() => null);
+  }
+  return registrationPromise;
+}
+
+async function postToWorker(message) {
+  const reg = await getRegistration();
+  reg?.active?.postMessage(message);
+}
+
+// boutons de la notification (le navigateur en affiche au plus Notification.maxActions)
+function workerActions() {
+  const max = typeof Notification.maxActions === "number" ? Notification.maxActions : 2;
+  return REMINDER_ACTIONS.slice(0, max).map((a) => ({ action: a.id, title: a.title }));
+}
+
+/** Sur le web, la demande doit venir d'un geste utilisateur (bouton dans les paramètres). */
+export async function ensureNotificationPermission() {
+  if (!supported()) return;
+  if (Notification.permission === "default") await Notification.requestPermission();
+  await getRegistration();
+}
+
+/** "granted" | "denied" | "default" | "unsupported" */
+export async function getNotificationPermission() {
+  return supported() ? Notification.permission : "unsupported";
+}
+
+/** Au démarrage : on enregistre seulement le worker, sans ouvrir de demande de permission. */
+export async function initNotifications() {
+  await getRegistration();
+}
+
+// Rien n'est planifié d'avance sur le web : un service worker inactif est arrêté par le navigateur et ses
+// minuteries avec lui. Les rappels n'arrivent donc que tant qu'un onglet de l'app reste ouvert (showReminderNow).
 export async function cancelReminders() {}
 
-export async function scheduleNextReminders({ enabled, eyeSeconds, stretchSeconds }) {
-  // no-op in web
+export async function scheduleNextReminders() {}
+
+/**
+ * Rappel échu vu par la page alors que l'onglet est caché : notification système tout de suite
+ * (tag stable par échéance : un même rappel ne s'affiche qu'une fois).
+ */
+export async function showReminderNow(kind, at) {
+  if (!granted() || document.visibilityState === "visible" || !REMINDER_MESSAGES[kind]) return;
+  await postToWorker({
+    type: "show",
+    reminder: { kind, tag: reminderTag(kind, at), at, actions: workerActions(), ...REMINDER_MESSAGES[kind] }
+  });
+}
+
+/**
+ * Actions choisies sur une notification : message du worker si l'app est ouverte,
+ * sinon le worker ouvre l'app avec ?reminder=kind&at=…&action=… (lu une fois ici).
+ */
+export async function onReminderAction(handler) {
+  if (!supported()) return () => {};
+
+  const params = new URLSearchParams(window.location.search);
+  if (params.get("reminder")) {
+    handler({ kind: params.get("reminder"), at: Number(params.get("at")) || null, action: params.get("action") || "open" });
+    window.history.replaceState(null, "", window.location.pathname);
+  }
+
+  const onMessage = (event) => {
+    const msg = event.data || {};
+    if (msg.type === "reminder-action" && msg.kind) handler({ kind: msg.kind, at: msg.at ?? null, action: msg.action });
+  };
+  navigator.serviceWorker.addEventListener("message", onMessage);
+  return () => navigator.serviceWorker.removeEventListener("message", onMessage);
 }
@@ -0,0 +1,54 @@
+// Synthèse vocale (Web Speech API) pour le guidage des routines (lib/voice.js).
+// Disponible dans les navigateurs et la plupart des WebView Android ; sans elle, le guidage est simplement muet.
+
+function synth() {
+  return typeof window !== "undefined" && "speechSynthesis" in window ? window.speechSynthesis : null;
+}
+
+export function isSpeechAvailable() {
+  return !!synth() && typeof window.SpeechSynthesisUtterance === "function";
+}
+
+/** Voix installées, françaises d'abord : [{ voiceURI, name, lang }]. */
+export function listVoices() {
+  const s = synth();
+  if (!s) return [];
+  const fr = (v) => (v.lang ?? "").toLowerCase().startsWith("fr");
+  return s
+    .getVoices()
+    .map((v) => ({ voiceURI: v.voiceURI, name: v.name, lang: v.lang }))
+    .sort((a, b) => Number(fr(b)) - Number(fr(a)) || a.name.localeCompare(b.name));
+}
+
+/** handler() quand la liste des voix change (chargée en différé par Chrome). Retourne une fonction de désabonnement. */
+export function onVoicesChanged(handler) {
+  const s = synth();
+  if (!s?.addEventListener) return () => {};
+  s.addEventListener("voiceschanged", handler);
+  return () => s.removeEventListener("voiceschanged", handler);
+}
+
+/** Dit `text` en coupant l'annonce en cours. */
+export function speak(text, { voiceURI = "", rate = 1 } = {}) {
+  const s = synth();
+  if (!s || !text || !isSpeechAvailable()) return;
+  try {
+    s.cancel();
+    const u = new window.SpeechSynthesisUtterance(text);
+    const voice = voiceURI ? s.getVoices().find((v) => v.voiceURI === voiceURI) : null;
+    if (voice) u.voice = voice;
+    u.lang = voice?.lang ?? "fr-FR";
+    u.rate = rate;
+    s.speak(u);
+  } catch {
+    // moteur de synthèse absent ou refusé : on reste silencieux
+  }
+}
+
+export function stopSpeaking() {
+  try {
+    synth()?.cancel();
+  } catch {
+    // ignore
+  }
+}